@@ -1,20 +1,39 @@
+import {
+  captureVisibleTab,
+  injectRegionOverlay,
+  captureRegion,
+  captureElement,
+  captureContextElement,
+  captureTextSelection,
+  getContextPoint,
+  fetchImageAsPng,
+  captureImageOnScreen,
+  captureFullPage,
+  copyImageInTab,
+  detectSensitiveData,
+  encodeImage,
+  optimizePng,
+  dataUrlToBlob,
+  blobToDataUrl
+} from './background/background-capture.js';
+import { loadSettings } from './shared/settings.js';
+import { buildDownloadFilename } from './shared/filename.js';
+import { addCapture, enforceRetention, getLatestCaptureId } from './shared/capture-store.js';
+import { saveHandoff, removeHandoff, clearHandoffs } from './shared/handoff.js';
+
+const EDITOR_PAGE = 'editor/editor.html';
+const POPUP_PAGE = 'popup/popup.html';
+
 let clickCount = 0;
 let clickTimeout;
 
-// Debounce utility to prevent rapid function calls
-const debounce = (func, wait) => {
-  let timeout;
-  return (...args) => {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => func(...args), wait);
-  };
-};
-
 // Setup initial settings on installation
 chrome.runtime.onInstalled.addListener(async () => {
   try {
-    await chrome.storage.sync.set({ saveLocation: 'SnipScreen' });
+    await loadSettings(); // Writes defaults on first install, migrates older settings on update
     await chrome.storage.local.set({ sessionActive: true }); // Basic session flag
+    createContextMenus();
+    await applyIconClickSetting();
     showNotification('SnipScreen installed successfully', 'success');
   } catch (error) {
     console.error('Installation failed:', error);
@@ -22,10 +41,27 @@ chrome.runtime.onInstalled.addListener(async () => {
   }
 });
 
+// The popup set by applyIconClickSetting only lasts for the browser session
+chrome.runtime.onStartup.addListener(() => {
+  applyIconClickSetting().catch(error => console.error('Failed to apply the icon click setting:', error));
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || !changes.iconClick) return;
+  applyIconClickSetting().catch(error => console.error('Failed to apply the icon click setting:', error));
+});
+
+// The icon opens the capture menu (popup), or captures right away on a single or
+// double click (handleClick); chrome.action.onClicked only fires without a popup
+async function applyIconClickSetting() {
+  const { iconClick } = await loadSettings();
+  await chrome.action.setPopup({ popup: iconClick === 'menu' ? POPUP_PAGE : '' });
+}
+
 // Clear temporary data if the extension process is suspended
 chrome.runtime.onSuspend.addListener(async () => {
   try {
-    await chrome.storage.local.remove(['currentScreenshot', 'originalTab', 'cropOnlyMode']);
+    await clearHandoffs();
   } catch (error) {
     console.error('Cleanup on suspend failed:', error);
   }
@@ -38,67 +74,488 @@ async function handleClick(tab) {
   if (clickCount === 1) {
     // Start a timer to handle as single click if no second click occurs
     clickTimeout = setTimeout(async () => {
-      await handleScreenshot(tab, true); // Single-click: Crop first mode
       clickCount = 0; // Reset counter
+      const { singleClickAction } = await loadSettings();
+      await runCaptureMode(singleClickAction, tab); // Single-click: region selection by default
     }, 200); // 200ms window to detect double-click
   } else if (clickCount === 2) {
     // Double click detected
     clearTimeout(clickTimeout); // Cancel single-click timer
-    await handleScreenshot(tab, false); // Double-click: Full editor mode
     clickCount = 0; // Reset counter
+    const { doubleClickAction } = await loadSettings();
+    await runCaptureMode(doubleClickAction, tab); // Double-click: visible area in the editor by default
+  }
+}
+
+// Starts one of the capture modes that can be bound to the action icon (see CAPTURE_MODES)
+async function runCaptureMode(mode, tab) {
+  switch (mode) {
+    case 'visible':
+      return handleScreenshot(tab, false);
+    case 'visible-crop':
+      return handleScreenshot(tab, true);
+    case 'full-page':
+      return handleFullPageScreenshot(tab);
+    case 'element':
+      return handleElementScreenshot(tab);
+    case 'delayed':
+      return handleDelayedScreenshot(tab);
+    case 'region':
+    default:
+      return handleRegionScreenshot(tab);
   }
 }
 
-// Debounced function to handle screenshot capture and editor opening
-const handleScreenshot = debounce(async (tab, cropOnly = false) => {
+// Captures the visible area and opens, copies or saves it (afterCapture setting)
+async function handleScreenshot(tab, cropOnly = false) {
   try {
-    if (!tab?.id) throw new Error('No active tab found');
+    assertCapturable(tab);
+
+    const image = await dataUrlToBlob(await captureVisibleTab(tab.windowId));
+    const detect = await getDetectionSettings();
+    const detections = detect ? await detectSensitiveData(tab.id, detect) : null;
+    const outcome = await deliverCapture(image, tab, { cropOnly, detections });
+
+    showNotification(describeDelivery('Screenshot', outcome), 'success');
+
+  } catch (error) {
+    console.error('Screenshot failed:', error);
+    showNotification(`Screenshot failed: ${error.message || 'Unknown error'}`, 'error');
+  }
+}
 
-    // Prevent capturing protected URLs
-    if (tab.url?.startsWith('chrome://') || tab.url?.startsWith('file://')) {
-      throw new Error(`Cannot capture system pages (${tab.url.split('//')[0]}) or local files.`);
+// Counts down on the icon badge, then captures the visible area (time to open a menu or hover something)
+async function handleDelayedScreenshot(tab) {
+  try {
+    assertCapturable(tab);
+    const { captureDelay } = await loadSettings();
+    for (let remaining = captureDelay; remaining > 0; remaining--) {
+      await chrome.action.setBadgeText({ tabId: tab.id, text: String(remaining) });
+      await new Promise(resolve => setTimeout(resolve, 1000));
     }
+  } catch (error) {
+    console.error('Delayed screenshot failed:', error);
+    showNotification(`Screenshot failed: ${error.message || 'Unknown error'}`, 'error');
+    return;
+  } finally {
+    chrome.action.setBadgeText({ tabId: tab?.id, text: '' }).catch(() => {}); // The tab may be closed by now
+  }
+  await handleScreenshot(tab);
+}
 
-    // Capture the visible part of the tab with high quality settings
-    const screenshotUrl = await chrome.tabs.captureVisibleTab(null, {
-      format: 'png', // Use PNG for lossless quality
-      quality: 100   // Maximum quality (though PNG is already lossless)
-    });
+// Lets the user select a region on the live page, then opens or copies just that region
+async function handleRegionScreenshot(tab) {
+  try {
+    assertCapturable(tab);
+    await injectRegionOverlay(tab.id);
+  } catch (error) {
+    // Pages that refuse script injection (e.g. the Web Store) fall back to cropping in the editor
+    console.warn('Region overlay unavailable, falling back to crop mode:', error);
+    handleScreenshot(tab, true);
+    return;
+  }
 
-    if (!screenshotUrl) throw new Error('Empty screenshot captured (check permissions or page content)');
+  try {
+    const region = await captureRegion(tab, { detect: await getDetectionSettings() });
+    if (!region) return; // Selection cancelled by the user
+
+    if (region.action === 'copy') {
+      await copyImageInTab(tab.id, region.blob);
+      showNotification(`Region copied to clipboard (${region.width}×${region.height})`, 'success');
+    } else {
+      // The overlay's Edit button is an explicit choice, so the afterCapture setting does not apply
+      const captureId = crypto.randomUUID();
+      const inHistory = await rememberCapture(captureId, region.blob, tab, await loadSettings());
+      await openEditor(region.blob, tab, { captureId, inHistory, detections: region.detections });
+      showNotification('Region captured successfully', 'success');
+    }
+  } catch (error) {
+    console.error('Region screenshot failed:', error);
+    showNotification(`Region screenshot failed: ${error.message || 'Unknown error'}`, 'error');
+  }
+}
 
-    const editorUrl = 'editor/editor.html'; // Path to the editor page
+// Lets the user pick a DOM element and captures exactly its bounding box
+async function handleElementScreenshot(tab) {
+  try {
+    assertCapturable(tab);
+    const capture = await captureElement(tab, { detect: await getDetectionSettings() });
+    if (!capture) return; // Picking cancelled by the user
+    const outcome = await deliverCapture(capture.blob, tab, { detections: capture.detections });
+    showNotification(`${describeDelivery('Element', outcome)} (${capture.width}×${capture.height})`, 'success');
+  } catch (error) {
+    console.error('Element screenshot failed:', error);
+    showNotification(`Element screenshot failed: ${error.message || 'Unknown error'}`, 'error');
+  }
+}
 
-    // TODO: Consider implementing logic to find/reuse an existing editor tab
+// Scrolls the page (or its main scrollable pane) and stitches a full-page screenshot
+async function handleFullPageScreenshot(tab, hint) {
+  try {
+    assertCapturable(tab);
+    showNotification('Capturing full page, please keep the tab open...', 'info');
+    const { blob, truncated, detections } = await captureFullPage(tab, { hint, detect: await getDetectionSettings() });
+    const outcome = await deliverCapture(blob, tab, { detections });
+    showNotification(
+      truncated ? `${describeDelivery('Full page', outcome)} (page too long, bottom was cut off)` : describeDelivery('Full page', outcome),
+      'success'
+    );
+  } catch (error) {
+    console.error('Full-page screenshot failed:', error);
+    showNotification(`Full-page screenshot failed: ${error.message || 'Unknown error'}`, 'error');
+  }
+}
 
-    // Create a new tab for the editor
-    const newTab = await chrome.tabs.create({
-        url: editorUrl,
-        active: true
-    });
+// Full page from the page menu: scrolls the pane that was right-clicked (chat, code panel)
+async function handleContextFullPageScreenshot(tab, frameId) {
+  // The point is in top page coordinates
+  const hint = frameId ? null : await getContextPoint(tab.id).catch(() => null);
+  await handleFullPageScreenshot(tab, hint);
+}
 
-    // Store necessary data for the editor page in local storage
-    await chrome.storage.local.set({
-      currentScreenshot: screenshotUrl, // The screenshot data URL
-      originalTab: tab.id,           // ID of the tab where capture happened
-      cropOnlyMode: cropOnly         // Flag for single-click vs double-click mode
-    });
+// Captures the right-clicked element. When it cannot be told (inside frames, or the
+// pointer left it before the menu item was chosen) the element picker is started instead.
+async function handleContextElementScreenshot(tab, frameId) {
+  try {
+    assertCapturable(tab);
+    const capture = frameId ? null : await captureContextElement(tab, { detect: await getDetectionSettings() });
+    if (!capture) {
+      await handleElementScreenshot(tab);
+      return;
+    }
+    const outcome = await deliverCapture(capture.blob, tab, { detections: capture.detections });
+    showNotification(`${describeDelivery('Element', outcome)} (${capture.width}×${capture.height})`, 'success');
+  } catch (error) {
+    console.error('Element screenshot failed:', error);
+    showNotification(`Element screenshot failed: ${error.message || 'Unknown error'}`, 'error');
+  }
+}
 
-    showNotification('Screenshot captured successfully', 'success');
+// Captures the area of the selected text (the visible part of it)
+async function handleSelectionScreenshot(tab, frameId) {
+  try {
+    assertCapturable(tab);
+    if (frameId) throw new Error('Text selected inside a frame cannot be captured, use Capture this element');
+    const capture = await captureTextSelection(tab, { detect: await getDetectionSettings() });
+    if (!capture) throw new Error('The selected text is not visible');
+    const outcome = await deliverCapture(capture.blob, tab, { detections: capture.detections });
+    showNotification(`${describeDelivery('Selection', outcome)} (${capture.width}×${capture.height})`, 'success');
+  } catch (error) {
+    console.error('Selection screenshot failed:', error);
+    showNotification(`Selection screenshot failed: ${error.message || 'Unknown error'}`, 'error');
+  }
+}
 
+// Opens an image of the page in the editor at its full resolution. Images the page
+// cannot load again are captured from the screen as displayed instead (top page only).
+async function handleOpenImage(tab, srcUrl, frameId = 0) {
+  try {
+    assertCapturable(tab);
+    let image;
+    try {
+      image = await fetchImageAsPng(tab.id, frameId, srcUrl);
+    } catch (error) {
+      console.warn('Image download failed, capturing it from the screen:', error);
+      const capture = frameId ? null : await captureImageOnScreen(tab, srcUrl);
+      if (!capture) throw new Error(`The image could not be loaded (${error.message})`);
+      image = capture.blob;
+      showNotification('The image could not be loaded from its address, it was captured at screen resolution', 'info');
+    }
+    const captureId = crypto.randomUUID();
+    const inHistory = await rememberCapture(captureId, image, tab, await loadSettings());
+    await openEditor(image, tab, { captureId, inHistory });
   } catch (error) {
-    console.error('Screenshot failed:', error);
-    showNotification(`Screenshot failed: ${error.message || 'Unknown error'}`, 'error');
-    // Attempt to clean up storage if capture failed before editor opened
-    await chrome.storage.local.remove(['currentScreenshot', 'originalTab', 'cropOnlyMode']);
+    console.error('Opening the image failed:', error);
+    showNotification(`Opening the image failed: ${error.message || 'Unknown error'}`, 'error');
+  }
+}
+
+// Throws if the tab cannot be captured
+function assertCapturable(tab) {
+  if (!tab?.id) throw new Error('No active tab found');
+
+  // Prevent capturing protected URLs
+  if (tab.url?.startsWith('chrome://') || tab.url?.startsWith('file://')) {
+    throw new Error(`Cannot capture system pages (${tab.url.split('//')[0]}) or local files.`);
+  }
+}
+
+// Reads which sensitive-data detectors to run, or null when auto-redaction is off
+async function getDetectionSettings() {
+  try {
+    const { autoRedact, autoRedactKinds, autoRedactPatterns } = await loadSettings();
+    return autoRedact ? { kinds: autoRedactKinds, customPatterns: autoRedactPatterns } : null;
+  } catch (error) {
+    console.warn('Failed to read auto-redaction settings:', error);
+    return null;
+  }
+}
+
+// Handles a finished capture (PNG Blob) according to the afterCapture setting: open it in
+// the editor (default), copy it to the clipboard or save it straight to disk.
+// Returns what was done: 'edit' | 'copy' | 'save'.
+async function deliverCapture(image, tab, { cropOnly = false, detections = null } = {}) {
+  const settings = await loadSettings();
+  const { afterCapture, exportFormat, exportQuality } = settings;
+  const captureId = crypto.randomUUID();
+  const inHistory = await rememberCapture(captureId, image, tab, settings);
+
+  // Crop-only captures need the editor, and detected sensitive data must be reviewed there
+  if (afterCapture === 'edit' || cropOnly || detections?.matches?.length) {
+    await openEditor(image, tab, { captureId, inHistory, cropOnly, detections });
+    return 'edit';
+  }
+
+  if (afterCapture === 'copy') {
+    try {
+      await copyImageInTab(tab.id, image);
+      return 'copy';
+    } catch (error) {
+      // The page needs focus to write to the clipboard; don't lose the capture
+      console.warn('Copy after capture failed, opening the editor instead:', error);
+      await openEditor(image, tab, { captureId, inHistory, detections });
+      return 'edit';
+    }
+  }
+
+  const bitmap = await createImageBitmap(image);
+  const { width, height } = bitmap;
+  bitmap.close();
+  const encoded = exportFormat === 'png' && settings.optimizePng
+    ? await optimizePng(image)
+    : await encodeImage(image, exportFormat, exportQuality);
+  // Service workers cannot create object URLs, downloads take a data URL
+  const url = await blobToDataUrl(encoded);
+  const extension = exportFormat === 'jpeg' ? 'jpg' : exportFormat;
+  const filename = await buildDownloadFilename(settings, { ...describeTab(tab), width, height }, extension);
+  await chrome.downloads.download({ url, filename, saveAs: false });
+  return 'save';
+}
+
+// Adds a capture to the history page and applies the retention limits.
+// Returns whether the capture was stored; history is optional and never blocks the capture.
+async function rememberCapture(captureId, image, tab, settings) {
+  if (!settings.historyEnabled) return false;
+  try {
+    const bitmap = await createImageBitmap(image);
+    const { width, height } = bitmap;
+    bitmap.close();
+    const { title, url, date } = describeTab(tab);
+    await addCapture({ id: captureId, image, title, url, width, height, createdAt: date });
+    await enforceRetention(settings, { keep: captureId });
+    return true;
+  } catch (error) {
+    console.error('Failed to add capture to history:', error);
+    return false;
+  }
+}
+
+// Tab metadata handed to the editor, also used for filename tokens ({title}, {host}, {path}, {date})
+function describeTab(tab) {
+  return { id: tab.id, title: tab.title || '', url: tab.url || '', date: Date.now() };
+}
+
+// Notification text for a delivered capture
+function describeDelivery(subject, outcome) {
+  switch (outcome) {
+    case 'copy': return `${subject} copied to clipboard`;
+    case 'save': return `${subject} saved to Downloads`;
+    default: return `${subject} captured successfully`;
+  }
+}
+
+// Opens a capture in the editor and hands over the image (and any detected sensitive data).
+// Depending on the editorTabs setting the capture goes to a new tab or to the last editor tab.
+// inHistory tells the editor to keep the capture's history entry in sync with the edits.
+async function openEditor(image, tab, { captureId, inHistory = false, cropOnly = false, detections = null }) {
+  const { editorTabs } = await loadSettings();
+
+  // Page zoom lets the editor export at 1x CSS pixels
+  const zoom = await chrome.tabs.getZoom(tab.id).catch(() => 1);
+
+  // Store the capture for the editor first, large (stitched) images may take a while to write
+  await saveHandoff(captureId, {
+    image,                         // The screenshot as a PNG Blob
+    originalTab: { ...describeTab(tab), zoom, captureId, inHistory }, // Tab where capture happened (ID, title, URL, zoom)
+    cropOnlyMode: cropOnly,        // Open the editor with only the crop tool
+    detectedRedactions: detections // Sensitive data to pre-redact, in capture CSS pixels
+  });
+
+  try {
+    await showInEditor(captureId, editorTabs);
+  } catch (error) {
+    await removeHandoff(captureId);
+    throw error;
+  }
+}
+
+// Shows a capture (handed over or from the history) in an editor tab, per the editorTabs setting
+async function showInEditor(captureId, editorTabs) {
+  if (editorTabs !== 'new' && await sendToEditorTab(captureId, editorTabs)) return;
+  await chrome.tabs.create({
+    url: `${EDITOR_PAGE}?capture=${encodeURIComponent(captureId)}`,
+    active: true
+  });
+}
+
+// Reopens the newest capture of the history, with its edits
+async function openLastCapture() {
+  try {
+    const { editorTabs, historyEnabled } = await loadSettings();
+    const captureId = await getLatestCaptureId();
+    if (!captureId) {
+      throw new Error(historyEnabled ? 'No captures yet' : 'Turn on the capture history in the settings to reopen captures');
+    }
+    await showInEditor(captureId, editorTabs);
+  } catch (error) {
+    console.error('Opening the last capture failed:', error);
+    showNotification(`Cannot open the last capture: ${error.message || 'Unknown error'}`, 'error');
   }
-}, 200); // Debounce interval
+}
+
+// Asks the most recently used editor tab to open a capture ('reuse' replaces its
+// capture, 'documents' adds a document). Returns false if there is no editor tab to take it.
+async function sendToEditorTab(captureId, mode) {
+  const editorTabs = await chrome.tabs.query({ url: `${chrome.runtime.getURL(EDITOR_PAGE)}*` });
+  const editorTab = editorTabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0];
+  if (!editorTab) return false;
+
+  try {
+    const reply = await chrome.tabs.sendMessage(editorTab.id, { type: 'snipscreen-open-capture', captureId, mode });
+    if (!reply?.accepted) return false;
+  } catch (error) {
+    // The tab is still loading or was closed meanwhile
+    console.warn('Editor tab did not take the capture, opening a new tab:', error);
+    return false;
+  }
+  await chrome.tabs.update(editorTab.id, { active: true });
+  await chrome.windows.update(editorTab.windowId, { focused: true });
+  return true;
+}
+
+// Contexts of the page menu entries that capture the page itself
+const PAGE_CONTEXTS = ['page', 'frame', 'link', 'image', 'video', 'editable', 'selection'];
+
+// Extra capture modes offered when right-clicking the extension icon, and capture
+// entries in the page's context menu
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: 'snipscreen-capture-full-page',
+      title: 'Capture full page',
+      contexts: ['action']
+    });
+    chrome.contextMenus.create({
+      id: 'snipscreen-capture-element',
+      title: 'Capture element',
+      contexts: ['action']
+    });
+    chrome.contextMenus.create({
+      id: 'snipscreen-open-history',
+      title: 'Capture history',
+      contexts: ['action']
+    });
+
+    chrome.contextMenus.create({
+      id: 'snipscreen-page-visible',
+      title: 'Capture visible area',
+      contexts: PAGE_CONTEXTS
+    });
+    chrome.contextMenus.create({
+      id: 'snipscreen-page-full-page',
+      title: 'Capture full page',
+      contexts: PAGE_CONTEXTS
+    });
+    chrome.contextMenus.create({
+      id: 'snipscreen-page-element',
+      title: 'Capture this element',
+      contexts: PAGE_CONTEXTS
+    });
+    chrome.contextMenus.create({
+      id: 'snipscreen-page-selection',
+      title: 'Capture selection',
+      contexts: ['selection']
+    });
+    chrome.contextMenus.create({
+      id: 'snipscreen-page-image',
+      title: 'Open image in SnipScreen editor',
+      contexts: ['image']
+    });
+  });
+}
 
 // Listener for the extension action click
 chrome.action.onClicked.addListener(handleClick);
 
-// Helper to show notifications
-function showNotification(message, type = 'info') { // Default type to info
+// Listener for the extension action and page context menus
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  switch (info.menuItemId) {
+    case 'snipscreen-capture-full-page':
+      return handleFullPageScreenshot(tab);
+    case 'snipscreen-capture-element':
+      return handleElementScreenshot(tab);
+    case 'snipscreen-open-history':
+      return chrome.tabs.create({ url: 'history/history.html', active: true });
+    case 'snipscreen-page-visible':
+      return handleScreenshot(tab);
+    case 'snipscreen-page-full-page':
+      return handleContextFullPageScreenshot(tab, info.frameId);
+    case 'snipscreen-page-element':
+      return handleContextElementScreenshot(tab, info.frameId);
+    case 'snipscreen-page-selection':
+      return handleSelectionScreenshot(tab, info.frameId);
+    case 'snipscreen-page-image':
+      return handleOpenImage(tab, info.srcUrl, info.frameId);
+  }
+});
+
+// Requests from the capture menu (see popup/popup.js)
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type === 'snipscreen-capture') {
+    sendResponse({ accepted: true }); // Lets the popup close before the capture starts
+    chrome.tabs.get(message.tabId)
+      .then(tab => runCaptureMode(message.mode, tab))
+      .catch(error => {
+        console.error('Capture from the menu failed:', error);
+        showNotification(`Screenshot failed: ${error.message || 'Unknown error'}`, 'error');
+      });
+  } else if (message?.type === 'snipscreen-show-capture') {
+    sendResponse({ accepted: true });
+    loadSettings()
+      .then(({ editorTabs }) => showInEditor(message.captureId, editorTabs))
+      .catch(error => {
+        console.error('Opening a capture from the menu failed:', error);
+        showNotification(`Cannot open the capture: ${error.message || 'Unknown error'}`, 'error');
+      });
+  }
+  return false;
+});
+
+// Listener for the keyboard shortcuts (rebindable at chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === 'open-last-capture') {
+    openLastCapture();
+    return;
+  }
+  tab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (command === 'capture-visible') {
+    runCaptureMode('visible', tab);
+  } else if (command === 'capture-region') {
+    runCaptureMode('region', tab);
+  } else if (command === 'capture-full-page') {
+    runCaptureMode('full-page', tab);
+  }
+});
+
+// Helper to show notifications, filtered by the notifications setting
+async function showNotification(message, type = 'info') { // Default type to info
+  try {
+    const { notifications } = await loadSettings();
+    if (notifications === 'none' || (notifications === 'errors' && type !== 'error')) return;
+  } catch (error) {
+    console.warn('Failed to read notification settings:', error);
+  }
+
   const options = {
     type: 'basic',
     iconUrl: 'icons/icon128.png', // Relative to extension root
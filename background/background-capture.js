@@ -0,0 +1,510 @@
+import { quantizeToPng } from '../shared/indexed-png.js';
+
+// Chrome allows at most MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND (2) captures per second
+const CAPTURE_INTERVAL = 550;
+// Stay below the maximum canvas dimension supported by Chrome
+const MAX_STITCHED_HEIGHT = 32000;
+// Safety net for pages that keep growing while we scroll (infinite feeds)
+const MAX_FULL_PAGE_FRAMES = 60;
+// Space around captured text selections, in CSS pixels
+const SELECTION_MARGIN = 4;
+
+let lastCaptureTime = 0;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Captures the visible area of a window, waiting as needed to respect the
+ * captureVisibleTab rate limit.
+ * @param {number} windowId - The window containing the tab to capture.
+ * @returns {Promise<string>} PNG data URL of the visible area.
+ */
+export async function captureVisibleTab(windowId) {
+  const wait = lastCaptureTime + CAPTURE_INTERVAL - Date.now();
+  if (wait > 0) await delay(wait);
+  lastCaptureTime = Date.now();
+
+  // Capture the visible part of the tab with high quality settings
+  const screenshotUrl = await chrome.tabs.captureVisibleTab(windowId ?? null, {
+    format: 'png', // Use PNG for lossless quality
+    quality: 100   // Maximum quality (though PNG is already lossless)
+  });
+
+  if (!screenshotUrl) throw new Error('Empty screenshot captured (check permissions or page content)');
+  return screenshotUrl;
+}
+
+/**
+ * Runs a function in the tab's main frame and returns its (awaited) result.
+ */
+async function runInTab(tabId, func, args = []) {
+  const [injection] = await chrome.scripting.executeScript({ target: { tabId }, func, args });
+  return injection?.result;
+}
+
+/**
+ * Converts a data URL into a Blob.
+ */
+export async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.blob();
+}
+
+/**
+ * Converts a data URL into an ImageBitmap.
+ */
+export async function dataUrlToBitmap(dataUrl) {
+  return createImageBitmap(await dataUrlToBlob(dataUrl));
+}
+
+/**
+ * Converts a Blob into a data URL.
+ */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error('Failed to read image data.'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Re-encodes a PNG image in another image format.
+ * @param {Blob} image - Source PNG.
+ * @param {'png' | 'jpeg' | 'webp'} format - Target format.
+ * @param {number} [quality] - 0..1, used by lossy formats only.
+ * @returns {Promise<Blob>} The image in the requested format.
+ */
+export async function encodeImage(image, format, quality) {
+  if (format === 'png') return image;
+  const bitmap = await createImageBitmap(image);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  if (format === 'jpeg') {
+    // JPEG has no alpha channel, flatten onto white instead of black
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas.convertToBlob({ type: `image/${format}`, quality });
+}
+
+/**
+ * Palette-quantizes a PNG image (see shared/indexed-png.js).
+ * @param {Blob} image - Truecolor PNG.
+ * @returns {Promise<Blob>} Indexed PNG, or the input if that is not smaller.
+ */
+export async function optimizePng(image) {
+  const bitmap = await createImageBitmap(image);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const { bytes } = quantizeToPng(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  return bytes.length < image.size ? new Blob([bytes], { type: 'image/png' }) : image;
+}
+
+/**
+ * Crops a captured viewport image to a rectangle given in viewport CSS pixels.
+ * The CSS-to-device pixel factor is derived from the captured bitmap itself, so
+ * page zoom and devicePixelRatio are both accounted for.
+ * @param {string} dataUrl - Captured viewport image (as returned by captureVisibleTab).
+ * @param {{x: number, y: number, width: number, height: number}} rect - Region in CSS pixels.
+ * @param {number} viewportWidth - Viewport width in CSS pixels at capture time.
+ * @returns {Promise<{blob: Blob, width: number, height: number}>} The cropped PNG.
+ */
+export async function cropScreenshot(dataUrl, rect, viewportWidth) {
+  const bitmap = await dataUrlToBitmap(dataUrl);
+  const scale = bitmap.width / viewportWidth;
+
+  const x = Math.max(0, Math.round(rect.x * scale));
+  const y = Math.max(0, Math.round(rect.y * scale));
+  const width = Math.max(1, Math.min(Math.round(rect.width * scale), bitmap.width - x));
+  const height = Math.max(1, Math.min(Math.round(rect.height * scale), bitmap.height - y));
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, x, y, width, height, 0, 0, width, height);
+  bitmap.close();
+
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return { blob, width, height };
+}
+
+/**
+ * Runs the sensitive-data scanner in the tab.
+ * Detection is best effort: failures are logged and yield null.
+ */
+async function scanSensitiveData(tabId, detect) {
+  try {
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['content/content-sensitive.js'] });
+    return await runInTab(tabId, (options) => window.__snipscreenSensitive.scan(options), [detect]);
+  } catch (error) {
+    console.warn('Sensitive-data scan failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Maps scanned viewport rects into the captured area, clipping them to it.
+ * @param {object} scan - Result of window.__snipscreenSensitive.scan().
+ * @param {{x: number, y: number, width: number, height: number}} origin - Captured area in viewport CSS pixels.
+ * @returns {{width: number, height: number, matches: Array<object>}} Matches in capture CSS pixels.
+ */
+function mapDetections(scan, origin) {
+  const matches = scan.matches.map(match => ({
+    kind: match.kind,
+    label: match.label,
+    preview: match.preview,
+    rects: match.rects.map(rect => {
+      const x = Math.max(0, rect.x - origin.x);
+      const y = Math.max(0, rect.y - origin.y);
+      const right = Math.min(origin.width, rect.x + rect.width - origin.x);
+      const bottom = Math.min(origin.height, rect.y + rect.height - origin.y);
+      return { x, y, width: right - x, height: bottom - y };
+    }).filter(rect => rect.width > 0 && rect.height > 0)
+  })).filter(match => match.rects.length > 0);
+
+  return { width: origin.width, height: origin.height, matches };
+}
+
+/**
+ * Finds sensitive data in the tab and returns it relative to a captured area.
+ * @param {number} tabId - The captured tab.
+ * @param {{kinds?: Array<string>, customPatterns?: Array<string>}} detect - Detector settings.
+ * @param {{x: number, y: number, width: number, height: number}} [origin] - Captured area in
+ *   viewport CSS pixels; the whole viewport when omitted.
+ * @returns {Promise<{width: number, height: number, matches: Array<object>} | null>}
+ */
+export async function detectSensitiveData(tabId, detect, origin = null) {
+  const scan = await scanSensitiveData(tabId, detect);
+  if (!scan) return null;
+  return mapDetections(scan, origin || { x: 0, y: 0, width: scan.viewportWidth, height: scan.viewportHeight });
+}
+
+/**
+ * Injects the region selection overlay (content-region.js) into the tab.
+ * Fails on pages that refuse script injection (e.g. the Web Store).
+ * @param {number} tabId
+ */
+export async function injectRegionOverlay(tabId) {
+  await chrome.scripting.executeScript({ target: { tabId }, files: ['content/content-region.js'] });
+}
+
+/**
+ * Lets the user drag a region on the live page, then captures just that region.
+ * The overlay must have been injected with injectRegionOverlay.
+ * @param {chrome.tabs.Tab} tab - The tab to capture.
+ * @param {object} [options]
+ * @param {object} [options.detect] - Sensitive-data detector settings, or null to skip detection.
+ * @returns {Promise<{blob: Blob, width: number, height: number, action: 'edit' | 'copy',
+ *   detections: object | null} | null>} The cropped capture, or null if the user cancelled.
+ */
+export async function captureRegion(tab, { detect = null } = {}) {
+  const selection = await runInTab(tab.id, () => window.__snipscreenRegion.select());
+  return selection ? captureSelection(tab, selection, detect) : null;
+}
+
+/**
+ * Lets the user pick a DOM element on the page, then captures exactly its bounding box.
+ * @param {chrome.tabs.Tab} tab - The tab to capture.
+ * @param {object} [options]
+ * @param {object} [options.detect] - Sensitive-data detector settings, or null to skip detection.
+ * @returns {Promise<{blob: Blob, width: number, height: number, action: 'edit',
+ *   detections: object | null} | null>} The cropped capture, or null if the user cancelled.
+ */
+export async function captureElement(tab, { detect = null } = {}) {
+  await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content/content-element-picker.js'] });
+  const selection = await runInTab(tab.id, () => window.__snipscreenElementPicker.pick());
+  return selection ? captureSelection(tab, selection, detect) : null;
+}
+
+/**
+ * Runs in the page: the element that was right-clicked, as a selection clipped to the
+ * viewport, or null. While the page context menu is open the page gets no mouse moves,
+ * so the innermost :hover element (also inside open shadow roots) is the clicked one.
+ */
+function findContextTarget() {
+  let root = document;
+  let target = null;
+  for (;;) {
+    const hovered = root.querySelectorAll(':hover');
+    const innermost = hovered[hovered.length - 1];
+    if (!innermost) break;
+    target = innermost;
+    if (!innermost.shadowRoot) break;
+    root = innermost.shadowRoot;
+  }
+  if (!target || target === document.documentElement || target === document.body) return null;
+
+  const bounds = target.getBoundingClientRect();
+  const left = Math.max(0, bounds.left);
+  const top = Math.max(0, bounds.top);
+  const right = Math.min(window.innerWidth, bounds.right);
+  const bottom = Math.min(window.innerHeight, bounds.bottom);
+  if (right - left < 1 || bottom - top < 1) return null;
+  return {
+    rect: { x: left, y: top, width: right - left, height: bottom - top },
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight,
+    devicePixelRatio: window.devicePixelRatio || 1,
+    action: 'edit'
+  };
+}
+
+/**
+ * Captures the element right-clicked in the top page (see findContextTarget).
+ * @param {chrome.tabs.Tab} tab - The tab to capture.
+ * @param {object} [options]
+ * @param {object} [options.detect] - Sensitive-data detector settings, or null to skip detection.
+ * @returns {Promise<{blob: Blob, width: number, height: number, action: 'edit',
+ *   detections: object | null} | null>} The cropped capture, or null if the element
+ *   cannot be told or is not visible.
+ */
+export async function captureContextElement(tab, { detect = null } = {}) {
+  const selection = await runInTab(tab.id, findContextTarget);
+  return selection ? captureSelection(tab, selection, detect) : null;
+}
+
+/**
+ * A point inside the element right-clicked in the top page, in viewport CSS pixels
+ * (the center of its visible part).
+ * @param {number} tabId
+ * @returns {Promise<{x: number, y: number} | null>}
+ */
+export async function getContextPoint(tabId) {
+  const selection = await runInTab(tabId, findContextTarget);
+  if (!selection) return null;
+  const { x, y, width, height } = selection.rect;
+  return { x: x + width / 2, y: y + height / 2 };
+}
+
+/**
+ * Captures the text selected in the page, with a small margin, clipped to the viewport.
+ * @param {chrome.tabs.Tab} tab - The tab to capture.
+ * @param {object} [options]
+ * @param {object} [options.detect] - Sensitive-data detector settings, or null to skip detection.
+ * @returns {Promise<{blob: Blob, width: number, height: number, action: 'edit',
+ *   detections: object | null} | null>} The cropped capture, or null if nothing visible is selected.
+ */
+export async function captureTextSelection(tab, { detect = null } = {}) {
+  const selection = await runInTab(tab.id, (margin) => {
+    const selected = window.getSelection();
+    if (!selected || selected.isCollapsed || !selected.rangeCount) return null;
+    const bounds = selected.getRangeAt(0).getBoundingClientRect();
+    const left = Math.max(0, bounds.left - margin);
+    const top = Math.max(0, bounds.top - margin);
+    const right = Math.min(window.innerWidth, bounds.right + margin);
+    const bottom = Math.min(window.innerHeight, bounds.bottom + margin);
+    if (right - left < 1 || bottom - top < 1) return null;
+    return {
+      rect: { x: left, y: top, width: right - left, height: bottom - top },
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
+      devicePixelRatio: window.devicePixelRatio || 1,
+      action: 'edit'
+    };
+  }, [SELECTION_MARGIN]);
+  return selection ? captureSelection(tab, selection, detect) : null;
+}
+
+/**
+ * Loads an image of the page and converts it to PNG, the format captures are kept in.
+ * The image is fetched inside the frame showing it, so the page's cookies and blob: URLs
+ * apply. Fails for cross-origin images without CORS access and for formats
+ * createImageBitmap cannot decode in a worker (SVG).
+ * @param {number} tabId
+ * @param {number} frameId - The frame showing the image (0 for the top page).
+ * @param {string} url - Image URL.
+ * @returns {Promise<Blob>}
+ */
+export async function fetchImageAsPng(tabId, frameId, url) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    func: async (src) => {
+      try {
+        const response = await fetch(src);
+        if (!response.ok) return { error: `HTTP ${response.status}` };
+        const blob = await response.blob();
+        return await new Promise((resolve) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve({ dataUrl: reader.result });
+          reader.onerror = () => resolve({ error: 'Reading the image failed' });
+          reader.readAsDataURL(blob);
+        });
+      } catch (e) {
+        return { error: e.message || 'Image download failed' };
+      }
+    },
+    args: [url]
+  });
+  const result = injection?.result;
+  if (!result?.dataUrl) throw new Error(result?.error || 'Image download failed');
+
+  const bitmap = await createImageBitmap(await dataUrlToBlob(result.dataUrl));
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    return await canvas.convertToBlob({ type: 'image/png' });
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Captures an image of the top page as displayed: its visible part, at screen resolution.
+ * For images fetchImageAsPng cannot load.
+ * @param {chrome.tabs.Tab} tab - The tab showing the image.
+ * @param {string} url - Image URL.
+ * @returns {Promise<{blob: Blob, width: number, height: number, action: 'edit',
+ *   detections: null} | null>} The cropped capture, or null if no visible image has that URL.
+ */
+export async function captureImageOnScreen(tab, url) {
+  const selection = await runInTab(tab.id, (src) => {
+    const image = [...document.images].find(img => img.currentSrc === src || img.src === src);
+    if (!image) return null;
+    const bounds = image.getBoundingClientRect();
+    const left = Math.max(0, bounds.left);
+    const top = Math.max(0, bounds.top);
+    const right = Math.min(window.innerWidth, bounds.right);
+    const bottom = Math.min(window.innerHeight, bounds.bottom);
+    if (right - left < 1 || bottom - top < 1) return null;
+    return {
+      rect: { x: left, y: top, width: right - left, height: bottom - top },
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
+      devicePixelRatio: window.devicePixelRatio || 1,
+      action: 'edit'
+    };
+  }, [url]);
+  return selection ? captureSelection(tab, selection, null) : null;
+}
+
+/**
+ * Captures the visible tab and crops it to a selection reported by a content script.
+ * Detection only runs for captures headed to the editor, where they can be reviewed.
+ */
+async function captureSelection(tab, selection, detect) {
+  const screenshotUrl = await captureVisibleTab(tab.windowId);
+  const cropped = await cropScreenshot(screenshotUrl, selection.rect, selection.viewportWidth);
+  const detections = detect && selection.action === 'edit'
+    ? await detectSensitiveData(tab.id, detect, selection.rect)
+    : null;
+  return { ...cropped, action: selection.action, detections };
+}
+
+/**
+ * Writes a PNG image to the clipboard from within the captured tab, which
+ * still has focus right after the user confirmed the selection.
+ * @param {number} tabId
+ * @param {Blob} image - PNG image; passed to the tab as a data URL.
+ */
+export async function copyImageInTab(tabId, image) {
+  const dataUrl = await blobToDataUrl(image);
+  const error = await runInTab(tabId, async (url) => {
+    try {
+      const blob = await (await fetch(url)).blob();
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+      return null;
+    } catch (e) {
+      return e.message || 'Clipboard write failed';
+    }
+  }, [dataUrl]);
+  if (error) throw new Error(error);
+}
+
+/**
+ * Captures the whole scrollable content of a tab by scrolling it step by step
+ * and stitching the captured viewports into one tall image.
+ * Scrolls the document, or a scrollable inner element (chat pane, code panel)
+ * when the document itself does not scroll or a hint point targets one.
+ * @param {chrome.tabs.Tab} tab - The tab to capture.
+ * @param {object} [options]
+ * @param {{x: number, y: number}} [options.hint] - Viewport point inside the element to scroll.
+ * @param {object} [options.detect] - Sensitive-data detector settings, or null to skip detection.
+ * @returns {Promise<{blob: Blob, width: number, height: number, truncated: boolean,
+ *   detections: object | null}>}
+ */
+export async function captureFullPage(tab, { hint, detect = null } = {}) {
+  await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content/content-fullpage.js'] });
+
+  const metrics = await runInTab(tab.id, (hintPoint) => window.__snipscreenFullPage.prepare(hintPoint), [hint ?? null]);
+  if (!metrics || metrics.clip.width < 1 || metrics.clip.height < 1) {
+    await runInTab(tab.id, () => window.__snipscreenFullPage.restore());
+    throw new Error('Nothing to capture on this page.');
+  }
+
+  const frames = [];
+  let scale = 1;
+  let contentHeight = metrics.scrollHeight;
+  let truncated = false;
+  let scan = null;
+  let scanScrollTop = 0;
+
+  try {
+    let offset = 0;
+    for (let index = 0; index < MAX_FULL_PAGE_FRAMES; index++) {
+      const position = await runInTab(tab.id, (top) => window.__snipscreenFullPage.scrollToOffset(top), [offset]);
+      contentHeight = position.scrollHeight;
+
+      // Stop when scrolling no longer moves (end reached or scroll blocked)
+      if (index > 0 && position.scrollTop <= frames[frames.length - 1].offset) break;
+
+      const bitmap = await dataUrlToBitmap(await captureVisibleTab(tab.windowId));
+      scale = bitmap.width / metrics.viewportWidth;
+      frames.push({ offset: position.scrollTop, bitmap });
+
+      if (index === 0) {
+        // Scan while the page looks like the first frame; rects below the fold are included
+        if (detect) {
+          scan = await scanSensitiveData(tab.id, detect);
+          scanScrollTop = position.scrollTop;
+        }
+        // Sticky/fixed headers belong only in the first frame
+        await runInTab(tab.id, () => window.__snipscreenFullPage.hideFixedElements());
+      }
+
+      const capturedBottom = position.scrollTop + metrics.clip.height;
+      if (capturedBottom >= contentHeight) break;
+      if (capturedBottom * scale >= MAX_STITCHED_HEIGHT) {
+        truncated = true;
+        break;
+      }
+      if (index === MAX_FULL_PAGE_FRAMES - 1) truncated = true;
+      offset = capturedBottom;
+    }
+  } finally {
+    await runInTab(tab.id, () => window.__snipscreenFullPage.restore()).catch(error => {
+      console.warn('Failed to restore page after full-page capture:', error);
+    });
+  }
+
+  if (frames.length === 0) throw new Error('No frames were captured.');
+
+  const lastFrame = frames[frames.length - 1];
+  const stitchedBottom = Math.min(contentHeight, lastFrame.offset + metrics.clip.height);
+  const width = Math.round(metrics.clip.width * scale);
+  const height = Math.min(MAX_STITCHED_HEIGHT, Math.round(stitchedBottom * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const sourceX = Math.round(metrics.clip.x * scale);
+  const sourceY = Math.round(metrics.clip.y * scale);
+  const sourceHeight = Math.round(metrics.clip.height * scale);
+
+  // Later frames overwrite the overlap with the previous one
+  frames.forEach(({ offset, bitmap }) => {
+    ctx.drawImage(bitmap, sourceX, sourceY, width, sourceHeight, 0, Math.round(offset * scale), width, sourceHeight);
+    bitmap.close();
+  });
+
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  const detections = scan ? mapDetections(scan, {
+    x: metrics.clip.x,
+    y: metrics.clip.y - scanScrollTop,
+    width: metrics.clip.width,
+    height: height / scale
+  }) : null;
+  return { blob, width, height, truncated, detections };
+}
@@ -0,0 +1,193 @@
+/**
+ * DOM element picker injected into the captured tab.
+ * Exposes window.__snipscreenElementPicker.pick(), which highlights elements
+ * under the cursor and resolves with the chosen element's bounding box
+ * (viewport CSS pixels), or null on cancel.
+ */
+(() => {
+  if (window.__snipscreenElementPicker) return;
+
+  const PICKER_STYLES = `
+    :host { all: initial; }
+    .layer {
+      position: fixed; inset: 0; z-index: 2147483647; pointer-events: none;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    .highlight {
+      position: absolute; display: none;
+      background: rgba(0, 122, 255, 0.12);
+      outline: 2px solid #007AFF; box-shadow: 0 0 0 1px rgba(255, 255, 255, 0.8);
+    }
+    .label {
+      position: absolute; display: none;
+      padding: 2px 6px; border-radius: 4px;
+      background: rgba(28, 28, 30, 0.9); color: #FFFFFF;
+      font-size: 11px; font-weight: 500; white-space: nowrap;
+    }
+    .hint {
+      position: absolute; top: 16px; left: 50%; transform: translateX(-50%);
+      padding: 8px 16px; border-radius: 14px;
+      background: rgba(28, 28, 30, 0.95); color: #FFFFFF; font-size: 13px;
+    }
+  `;
+
+  /**
+   * Builds a short CSS-like description of an element, e.g. "div.card#main".
+   */
+  function describe(element) {
+    let text = element.tagName.toLowerCase();
+    if (element.id) text += `#${element.id}`;
+    const classes = Array.from(element.classList).slice(0, 2);
+    if (classes.length) text += `.${classes.join('.')}`;
+    return text;
+  }
+
+  /**
+   * Clips an element's bounding box to the viewport.
+   */
+  function getVisibleRect(element) {
+    const rect = element.getBoundingClientRect();
+    const left = Math.max(0, rect.left);
+    const top = Math.max(0, rect.top);
+    const right = Math.min(window.innerWidth, rect.right);
+    const bottom = Math.min(window.innerHeight, rect.bottom);
+    return {
+      x: left,
+      y: top,
+      width: Math.max(0, right - left),
+      height: Math.max(0, bottom - top),
+      clipped: left !== rect.left || top !== rect.top || right !== rect.right || bottom !== rect.bottom
+    };
+  }
+
+  /**
+   * Starts the picker.
+   * Hover highlights, click captures, ArrowUp/ArrowDown move to the parent/child
+   * element, Enter captures the highlighted element and Escape cancels.
+   * @returns {Promise<{rect: {x: number, y: number, width: number, height: number},
+   *   viewportWidth: number, viewportHeight: number, devicePixelRatio: number,
+   *   action: 'edit'} | null>}
+   */
+  function pick() {
+    return new Promise(resolve => {
+      const host = document.createElement('snipscreen-element-picker');
+      const root = host.attachShadow({ mode: 'closed' });
+      root.innerHTML = `
+        <style>${PICKER_STYLES}</style>
+        <div class="layer">
+          <div class="highlight"></div>
+          <div class="label"></div>
+          <div class="hint">Click an element to capture it &middot; &uarr;/&darr; parent/child &middot; Esc to cancel</div>
+        </div>`;
+
+      const highlight = root.querySelector('.highlight');
+      const label = root.querySelector('.label');
+
+      let current = null;
+      let childTrail = []; // Elements we walked up from, so ArrowDown can retrace them
+
+      function setCurrent(element, keepTrail = false) {
+        if (!element || element === host) return;
+        if (!keepTrail) childTrail = [];
+        current = element;
+        render();
+      }
+
+      function render() {
+        if (!current || !current.isConnected) {
+          highlight.style.display = 'none';
+          label.style.display = 'none';
+          return;
+        }
+        const rect = current.getBoundingClientRect();
+        Object.assign(highlight.style, {
+          display: 'block',
+          left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px`
+        });
+
+        const dpr = window.devicePixelRatio || 1;
+        const visible = getVisibleRect(current);
+        label.textContent = `${describe(current)}  ${Math.round(visible.width * dpr)} × ${Math.round(visible.height * dpr)}` +
+          (visible.clipped ? ' (clipped to viewport)' : '');
+        const labelTop = visible.y >= 24 ? visible.y - 24 : Math.min(visible.y + visible.height + 4, window.innerHeight - 24);
+        Object.assign(label.style, { display: 'block', left: `${visible.x}px`, top: `${Math.max(0, labelTop)}px` });
+      }
+
+      function finish(element) {
+        window.removeEventListener('mousemove', onMouseMove, true);
+        window.removeEventListener('mousedown', swallow, true);
+        window.removeEventListener('mouseup', swallow, true);
+        window.removeEventListener('click', onClick, true);
+        window.removeEventListener('keydown', onKeyDown, true);
+        window.removeEventListener('scroll', render, true);
+        host.remove();
+
+        const rect = element ? getVisibleRect(element) : null;
+        if (!rect || rect.width < 1 || rect.height < 1) {
+          resolve(null);
+          return;
+        }
+        // Wait for the highlight to disappear from the rendered page before capturing
+        requestAnimationFrame(() => requestAnimationFrame(() => resolve({
+          rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+          viewportWidth: window.innerWidth,
+          viewportHeight: window.innerHeight,
+          devicePixelRatio: window.devicePixelRatio || 1,
+          action: 'edit'
+        })));
+      }
+
+      function onMouseMove(e) {
+        const element = document.elementFromPoint(e.clientX, e.clientY);
+        if (!element || element === current) return;
+        // After keyboard navigation, keep the chosen ancestor while the cursor stays inside it
+        if (childTrail.length && current?.contains(element)) return;
+        setCurrent(element);
+      }
+
+      // Keep the page from reacting to clicks while picking
+      function swallow(e) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+
+      function onClick(e) {
+        swallow(e);
+        if (e.button !== 0) return;
+        finish(current || document.elementFromPoint(e.clientX, e.clientY));
+      }
+
+      function onKeyDown(e) {
+        if (e.key === 'Escape') {
+          swallow(e);
+          finish(null);
+        } else if (e.key === 'Enter' && current) {
+          swallow(e);
+          finish(current);
+        } else if (e.key === 'ArrowUp' && current) {
+          swallow(e);
+          const parent = current.parentElement;
+          if (parent && parent !== document.documentElement) {
+            childTrail.push(current);
+            setCurrent(parent, true);
+          }
+        } else if (e.key === 'ArrowDown' && current) {
+          swallow(e);
+          const child = childTrail.pop() || current.firstElementChild;
+          if (child) setCurrent(child, true);
+        }
+      }
+
+      window.addEventListener('mousemove', onMouseMove, true);
+      window.addEventListener('mousedown', swallow, true);
+      window.addEventListener('mouseup', swallow, true);
+      window.addEventListener('click', onClick, true);
+      window.addEventListener('keydown', onKeyDown, true);
+      window.addEventListener('scroll', render, true);
+
+      document.documentElement.appendChild(host);
+    });
+  }
+
+  window.__snipscreenElementPicker = { pick };
+})();
@@ -0,0 +1,224 @@
+/**
+ * Full-page capture helper injected into the captured tab.
+ * Exposes window.__snipscreenFullPage, which the background service worker
+ * drives step by step via chrome.scripting.executeScript.
+ */
+(() => {
+  if (window.__snipscreenFullPage) return;
+
+  const LAZY_LOAD_TIMEOUT = 1500; // Max wait for images entering the viewport
+  const SETTLE_DELAY = 150;       // Extra time for scroll-triggered observers
+
+  let session = null;
+
+  /**
+   * Checks whether an element scrolls its own content vertically.
+   */
+  function isScrollable(element) {
+    if (!element || element === document.body || element === document.documentElement) return false;
+    const overflowY = getComputedStyle(element).overflowY;
+    return ['auto', 'scroll', 'overlay'].includes(overflowY) && element.scrollHeight > element.clientHeight + 1;
+  }
+
+  /**
+   * Finds the element to scroll: the scrollable ancestor under the hint point,
+   * the document if it overflows the viewport, or else the largest visible
+   * scrollable element (chat panes, code panels, ...).
+   */
+  function findScrollTarget(hint) {
+    if (hint && typeof hint.x === 'number') {
+      let element = document.elementFromPoint(hint.x, hint.y);
+      while (element && !isScrollable(element)) element = element.parentElement;
+      if (element) return element;
+    }
+
+    const scrollingElement = document.scrollingElement || document.documentElement;
+    if (scrollingElement.scrollHeight > window.innerHeight + 1) return scrollingElement;
+
+    let best = null;
+    let bestArea = 0;
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (!isScrollable(node)) continue;
+      const rect = node.getBoundingClientRect();
+      const visibleWidth = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+      const visibleHeight = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+      const area = Math.max(0, visibleWidth) * Math.max(0, visibleHeight);
+      if (area > bestArea) {
+        best = node;
+        bestArea = area;
+      }
+    }
+    return best || scrollingElement;
+  }
+
+  function isDocumentTarget(target) {
+    return target === document.scrollingElement || target === document.documentElement || target === document.body;
+  }
+
+  /**
+   * Returns the visible content box of the scroll target in viewport CSS pixels.
+   */
+  function getClipRect(target) {
+    if (isDocumentTarget(target)) {
+      return {
+        x: 0,
+        y: 0,
+        width: document.documentElement.clientWidth,
+        height: document.documentElement.clientHeight
+      };
+    }
+    const rect = target.getBoundingClientRect();
+    const left = Math.max(0, rect.left + target.clientLeft);
+    const top = Math.max(0, rect.top + target.clientTop);
+    const right = Math.min(window.innerWidth, rect.left + target.clientLeft + target.clientWidth);
+    const bottom = Math.min(window.innerHeight, rect.top + target.clientTop + target.clientHeight);
+    return { x: left, y: top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+  }
+
+  function getScrollTop() {
+    return isDocumentTarget(session.target) ? window.scrollY : session.target.scrollTop;
+  }
+
+  function getScrollHeight() {
+    return session.target.scrollHeight;
+  }
+
+  const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => resolve()));
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  /**
+   * Waits for images currently in the viewport to finish loading.
+   */
+  function waitForVisibleImages() {
+    const pending = Array.from(document.images).filter(img => {
+      if (img.complete) return false;
+      const rect = img.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < window.innerHeight && rect.right > 0 && rect.left < window.innerWidth;
+    });
+    if (pending.length === 0) return Promise.resolve();
+
+    const loads = pending.map(img => new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    }));
+    return Promise.race([Promise.all(loads), delay(LAZY_LOAD_TIMEOUT)]);
+  }
+
+  /**
+   * Selects the scroll target and records the state needed to restore the page.
+   * @param {{x: number, y: number}} [hint] - Optional viewport point inside the element to capture.
+   * @returns {object} Metrics describing the scroll target and viewport.
+   */
+  function prepare(hint) {
+    if (session) restore();
+
+    const target = findScrollTarget(hint);
+    const originalScroll = { x: window.scrollX, y: window.scrollY, elementTop: target.scrollTop };
+    if (!isDocumentTarget(target)) {
+      target.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+
+    const rootStyle = document.documentElement.style;
+    session = {
+      target,
+      hiddenElements: [],
+      originalScroll,
+      originalScrollBehavior: rootStyle.getPropertyValue('scroll-behavior'),
+      originalScrollBehaviorPriority: rootStyle.getPropertyPriority('scroll-behavior'),
+      originalTargetScrollBehavior: isDocumentTarget(target) ? null : target.style.getPropertyValue('scroll-behavior')
+    };
+
+    // Programmatic scrolling must jump, not animate
+    rootStyle.setProperty('scroll-behavior', 'auto', 'important');
+    if (!isDocumentTarget(target)) target.style.setProperty('scroll-behavior', 'auto', 'important');
+
+    return {
+      isDocument: isDocumentTarget(target),
+      clip: getClipRect(target),
+      scrollHeight: getScrollHeight(),
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
+      devicePixelRatio: window.devicePixelRatio || 1
+    };
+  }
+
+  /**
+   * Scrolls the target to the given offset and waits for lazy content to settle.
+   * @param {number} offset - Desired scrollTop in CSS pixels.
+   * @returns {Promise<{scrollTop: number, scrollHeight: number}>}
+   */
+  async function scrollToOffset(offset) {
+    if (!session) throw new Error('Full-page capture was not prepared.');
+    if (isDocumentTarget(session.target)) {
+      window.scrollTo(window.scrollX, offset);
+    } else {
+      session.target.scrollTop = offset;
+    }
+    await nextFrame();
+    await nextFrame();
+    await waitForVisibleImages();
+    await delay(SETTLE_DELAY);
+    return { scrollTop: getScrollTop(), scrollHeight: getScrollHeight() };
+  }
+
+  /**
+   * Hides fixed and sticky elements overlapping the capture area so headers
+   * and floating widgets appear only in the first frame.
+   */
+  function hideFixedElements() {
+    if (!session) return 0;
+    const clip = getClipRect(session.target);
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      // Never hide the scroll target or the containers holding it
+      if (node === session.target || node.contains(session.target)) continue;
+      const position = getComputedStyle(node).position;
+      if (position !== 'fixed' && position !== 'sticky') continue;
+      const rect = node.getBoundingClientRect();
+      const overlaps = rect.right > clip.x && rect.left < clip.x + clip.width &&
+        rect.bottom > clip.y && rect.top < clip.y + clip.height;
+      if (!overlaps) continue;
+      session.hiddenElements.push({
+        element: node,
+        value: node.style.getPropertyValue('visibility'),
+        priority: node.style.getPropertyPriority('visibility')
+      });
+      node.style.setProperty('visibility', 'hidden', 'important');
+    }
+    return session.hiddenElements.length;
+  }
+
+  /**
+   * Restores hidden elements, scroll positions and scroll behavior.
+   */
+  function restore() {
+    if (!session) return;
+    session.hiddenElements.forEach(({ element, value, priority }) => {
+      if (value) element.style.setProperty('visibility', value, priority);
+      else element.style.removeProperty('visibility');
+    });
+
+    const rootStyle = document.documentElement.style;
+    if (session.originalScrollBehavior) {
+      rootStyle.setProperty('scroll-behavior', session.originalScrollBehavior, session.originalScrollBehaviorPriority);
+    } else {
+      rootStyle.removeProperty('scroll-behavior');
+    }
+
+    if (isDocumentTarget(session.target)) {
+      window.scrollTo(session.originalScroll.x, session.originalScroll.y);
+    } else {
+      session.target.scrollTop = session.originalScroll.elementTop;
+      if (session.originalTargetScrollBehavior) {
+        session.target.style.setProperty('scroll-behavior', session.originalTargetScrollBehavior);
+      } else {
+        session.target.style.removeProperty('scroll-behavior');
+      }
+      window.scrollTo(session.originalScroll.x, session.originalScroll.y);
+    }
+    session = null;
+  }
+
+  window.__snipscreenFullPage = { prepare, scrollToOffset, hideFixedElements, restore };
+})();
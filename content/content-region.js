@@ -0,0 +1,206 @@
+/**
+ * Region selection overlay injected into the captured tab.
+ * Exposes window.__snipscreenRegion.select(), which resolves with the selected
+ * rectangle (viewport CSS pixels) once the user confirms, or null on cancel.
+ */
+(() => {
+  if (window.__snipscreenRegion) return;
+
+  const MIN_SIZE = 4; // Ignore accidental clicks smaller than this (CSS px)
+
+  const OVERLAY_STYLES = `
+    :host { all: initial; }
+    .overlay {
+      position: fixed; inset: 0; z-index: 2147483647;
+      cursor: crosshair; user-select: none;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    .shade { position: absolute; background: rgba(0, 0, 0, 0.4); pointer-events: none; }
+    .selection {
+      position: absolute; display: none; pointer-events: none;
+      outline: 2px solid #007AFF; box-shadow: inset 0 0 0 1px rgba(255, 255, 255, 0.8);
+    }
+    .size {
+      position: absolute; display: none; pointer-events: none;
+      padding: 2px 6px; border-radius: 4px;
+      background: rgba(28, 28, 30, 0.9); color: #FFFFFF;
+      font-size: 11px; font-weight: 500; white-space: nowrap;
+    }
+    .hint {
+      position: absolute; top: 16px; left: 50%; transform: translateX(-50%);
+      padding: 8px 16px; border-radius: 14px; pointer-events: none;
+      background: rgba(28, 28, 30, 0.95); color: #FFFFFF; font-size: 13px;
+    }
+    .actions { position: absolute; display: none; gap: 4px; cursor: default; }
+    .actions button {
+      border: none; border-radius: 6px; padding: 6px 12px;
+      font: inherit; font-size: 12px; font-weight: 500; cursor: pointer;
+      background: #FFFFFF; color: #1d1d1f; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+    }
+    .actions button.primary { background: #007AFF; color: #FFFFFF; }
+  `;
+
+  /**
+   * Shows the overlay and lets the user drag a region on the live page.
+   * @returns {Promise<{rect: {x: number, y: number, width: number, height: number},
+   *   viewportWidth: number, viewportHeight: number, devicePixelRatio: number,
+   *   action: 'edit' | 'copy'} | null>}
+   */
+  function select() {
+    return new Promise(resolve => {
+      const host = document.createElement('snipscreen-region');
+      const root = host.attachShadow({ mode: 'closed' });
+      root.innerHTML = `
+        <style>${OVERLAY_STYLES}</style>
+        <div class="overlay">
+          <div class="shade"></div><div class="shade"></div><div class="shade"></div><div class="shade"></div>
+          <div class="selection"></div>
+          <div class="size"></div>
+          <div class="hint">Drag to select an area &middot; Enter to edit &middot; Ctrl+C to copy &middot; Esc to cancel</div>
+          <div class="actions">
+            <button type="button" data-action="cancel">Cancel</button>
+            <button type="button" data-action="copy">Copy</button>
+            <button type="button" class="primary" data-action="edit">Edit</button>
+          </div>
+        </div>`;
+
+      const overlay = root.querySelector('.overlay');
+      const shades = root.querySelectorAll('.shade');
+      const selectionBox = root.querySelector('.selection');
+      const sizeLabel = root.querySelector('.size');
+      const hint = root.querySelector('.hint');
+      const actions = root.querySelector('.actions');
+
+      let start = null;
+      let rect = null;
+
+      const normalize = (a, b) => ({
+        x: Math.min(a.x, b.x),
+        y: Math.min(a.y, b.y),
+        width: Math.abs(b.x - a.x),
+        height: Math.abs(b.y - a.y)
+      });
+
+      function render() {
+        const viewportWidth = window.innerWidth;
+        const viewportHeight = window.innerHeight;
+        const r = rect || { x: 0, y: 0, width: 0, height: 0 };
+        // Shade everything outside the selection (top, bottom, left, right)
+        const boxes = rect ? [
+          [0, 0, viewportWidth, r.y],
+          [0, r.y + r.height, viewportWidth, viewportHeight - r.y - r.height],
+          [0, r.y, r.x, r.height],
+          [r.x + r.width, r.y, viewportWidth - r.x - r.width, r.height]
+        ] : [[0, 0, viewportWidth, viewportHeight], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+        boxes.forEach(([left, top, width, height], index) => {
+          Object.assign(shades[index].style, {
+            left: `${left}px`, top: `${top}px`, width: `${Math.max(0, width)}px`, height: `${Math.max(0, height)}px`
+          });
+        });
+
+        selectionBox.style.display = rect ? 'block' : 'none';
+        sizeLabel.style.display = rect ? 'block' : 'none';
+        if (!rect) return;
+
+        Object.assign(selectionBox.style, {
+          left: `${r.x}px`, top: `${r.y}px`, width: `${r.width}px`, height: `${r.height}px`
+        });
+
+        // Show the output size in device pixels, which is what the capture will contain
+        const dpr = window.devicePixelRatio || 1;
+        sizeLabel.textContent = `${Math.round(r.width * dpr)} × ${Math.round(r.height * dpr)}`;
+        const labelTop = r.y >= 24 ? r.y - 24 : r.y + 4;
+        Object.assign(sizeLabel.style, { left: `${r.x}px`, top: `${labelTop}px` });
+      }
+
+      function showActions() {
+        const below = rect.y + rect.height + 40 <= window.innerHeight;
+        Object.assign(actions.style, {
+          display: 'flex',
+          left: `${Math.max(4, Math.min(rect.x + rect.width - 180, window.innerWidth - 184))}px`,
+          top: `${below ? rect.y + rect.height + 8 : Math.max(4, rect.y + rect.height - 36)}px`
+        });
+      }
+
+      function finish(action) {
+        window.removeEventListener('keydown', onKeyDown, true);
+        window.removeEventListener('resize', render);
+        host.remove();
+        if (!action || !rect) {
+          resolve(null);
+          return;
+        }
+        // Wait for the overlay to disappear from the rendered page before capturing
+        requestAnimationFrame(() => requestAnimationFrame(() => resolve({
+          rect,
+          viewportWidth: window.innerWidth,
+          viewportHeight: window.innerHeight,
+          devicePixelRatio: window.devicePixelRatio || 1,
+          action
+        })));
+      }
+
+      function onMouseDown(e) {
+        if (e.button !== 0 || actions.contains(e.composedPath()[0])) return;
+        e.preventDefault();
+        start = { x: e.clientX, y: e.clientY };
+        rect = null;
+        actions.style.display = 'none';
+        hint.style.display = 'none';
+        render();
+      }
+
+      function onMouseMove(e) {
+        if (!start) return;
+        rect = normalize(start, { x: e.clientX, y: e.clientY });
+        render();
+      }
+
+      function onMouseUp(e) {
+        if (!start || e.button !== 0) return;
+        rect = normalize(start, { x: e.clientX, y: e.clientY });
+        start = null;
+        if (rect.width < MIN_SIZE || rect.height < MIN_SIZE) {
+          rect = null;
+          hint.style.display = 'block';
+          render();
+          return;
+        }
+        render();
+        showActions();
+      }
+
+      function onKeyDown(e) {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          e.stopPropagation();
+          finish(null);
+        } else if (e.key === 'Enter' && rect && !start) {
+          e.preventDefault();
+          e.stopPropagation();
+          finish('edit');
+        } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'c' && rect && !start) {
+          e.preventDefault();
+          e.stopPropagation();
+          finish('copy');
+        }
+      }
+
+      overlay.addEventListener('mousedown', onMouseDown);
+      overlay.addEventListener('mousemove', onMouseMove);
+      overlay.addEventListener('mouseup', onMouseUp);
+      actions.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        finish(button.dataset.action === 'cancel' ? null : button.dataset.action);
+      });
+      window.addEventListener('keydown', onKeyDown, true);
+      window.addEventListener('resize', render);
+
+      document.documentElement.appendChild(host);
+      render();
+    });
+  }
+
+  window.__snipscreenRegion = { select };
+})();
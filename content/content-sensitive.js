@@ -0,0 +1,206 @@
+/**
+ * Sensitive-data scanner injected into the captured tab.
+ * Exposes window.__snipscreenSensitive.scan(options), which finds emails, phone
+ * numbers, credit card numbers, API-key-like tokens, IBANs and custom patterns
+ * in visible text and form fields, and resolves with their client rects
+ * (viewport CSS pixels). Matched text never leaves the page, only a masked preview.
+ */
+(() => {
+  if (window.__snipscreenSensitive) return;
+
+  const MAX_TEXT_NODES = 20000;
+  const MAX_MATCHES = 500;
+  const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA']);
+
+  /**
+   * Luhn checksum used by payment card numbers.
+   */
+  function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * ISO 13616 mod-97 check used by IBANs.
+   */
+  function passesIbanCheck(value) {
+    const iban = value.replace(/\s+/g, '').toUpperCase();
+    if (iban.length < 15 || iban.length > 34) return false;
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+      const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+      for (const digit of code) remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+  }
+
+  /**
+   * Built-in detectors. Each has a global regex and an optional validator for
+   * cutting down false positives. Order matters: earlier kinds win overlaps.
+   */
+  const DETECTORS = {
+    email: {
+      label: 'Email',
+      pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi
+    },
+    creditCard: {
+      label: 'Card number',
+      pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+      validate: (text) => passesLuhn(text.replace(/\D/g, ''))
+    },
+    iban: {
+      label: 'IBAN',
+      pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+      validate: passesIbanCheck
+    },
+    apiKey: {
+      label: 'API key',
+      pattern: /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|\bsk-[A-Za-z0-9_-]{20,}|\bgh[pousr]_[A-Za-z0-9]{30,}|\bgithub_pat_[A-Za-z0-9_]{30,}|\bxox[abprs]-[A-Za-z0-9-]{10,}|\bAKIA[0-9A-Z]{16}\b|\bAIza[0-9A-Za-z_-]{35}|\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Z])(?=[A-Za-z0-9_-]*[a-z])[A-Za-z0-9_-]{32,}\b/g
+    },
+    phone: {
+      label: 'Phone number',
+      pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}(?![\w-])/g,
+      validate: (text) => {
+        const digits = text.replace(/\D/g, '');
+        if (digits.length < 8 || digits.length > 15) return false;
+        // Dates, times and version-like numbers are not phone numbers
+        return !/^\d{4}[-.]\d{1,2}[-.]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/.test(text.trim());
+      }
+    }
+  };
+
+  /**
+   * Masks a match for display, e.g. "jo•••om".
+   */
+  function mask(text) {
+    const compact = text.trim();
+    if (compact.length <= 6) return '•'.repeat(compact.length);
+    return `${compact.slice(0, 2)}•••${compact.slice(-2)}`;
+  }
+
+  /**
+   * Builds the active detector list from enabled kinds plus custom regex sources.
+   */
+  function buildDetectors(kinds, customPatterns) {
+    const detectors = Object.entries(DETECTORS)
+      .filter(([kind]) => !kinds || kinds.includes(kind))
+      .map(([kind, detector]) => ({ kind, ...detector }));
+
+    (customPatterns || []).forEach((source, index) => {
+      try {
+        detectors.push({ kind: 'custom', label: `Custom pattern ${index + 1}`, pattern: new RegExp(source, 'g') });
+      } catch (error) {
+        console.warn(`SnipScreen: ignoring invalid redaction pattern "${source}":`, error);
+      }
+    });
+    return detectors;
+  }
+
+  /**
+   * Finds non-overlapping matches in a string.
+   * @returns {Array<{kind: string, label: string, start: number, end: number, text: string}>}
+   */
+  function findMatches(text, detectors) {
+    const matches = [];
+    for (const detector of detectors) {
+      detector.pattern.lastIndex = 0;
+      let match;
+      while ((match = detector.pattern.exec(text))) {
+        if (!match[0]) {
+          detector.pattern.lastIndex++; // Avoid looping on empty custom matches
+          continue;
+        }
+        const start = match.index;
+        const end = start + match[0].length;
+        if (detector.validate && !detector.validate(match[0])) continue;
+        if (matches.some(other => start < other.end && end > other.start)) continue;
+        matches.push({ kind: detector.kind, label: detector.label, start, end, text: match[0] });
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Converts DOMRects into plain objects, dropping empty ones.
+   */
+  function toRects(rectList) {
+    return Array.from(rectList)
+      .filter(rect => rect.width > 0 && rect.height > 0)
+      .map(rect => ({ x: rect.left, y: rect.top, width: rect.width, height: rect.height }));
+  }
+
+  /**
+   * Returns true if the element (or an ancestor) hides its content.
+   */
+  function isHidden(element) {
+    if (!element || !element.isConnected) return true;
+    if (typeof element.checkVisibility === 'function') {
+      return !element.checkVisibility({ visibilityProperty: true, opacityProperty: true });
+    }
+    return false;
+  }
+
+  /**
+   * Scans the page for sensitive data.
+   * @param {object} [options]
+   * @param {Array<string>} [options.kinds] - Enabled detector kinds (all when omitted).
+   * @param {Array<string>} [options.customPatterns] - Extra regex sources.
+   * @returns {{viewportWidth: number, viewportHeight: number,
+   *   matches: Array<{kind: string, label: string, preview: string, rects: Array<object>}>}}
+   */
+  function scan({ kinds, customPatterns } = {}) {
+    const detectors = buildDetectors(kinds, customPatterns);
+    const results = [];
+
+    // 1. Text nodes, with one rect per rendered line of each match
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        if (!parent || SKIPPED_TAGS.has(parent.tagName.toUpperCase())) return NodeFilter.FILTER_REJECT;
+        // SVG text sits in <text>/<tspan> elements, anywhere below the <svg>
+        if (parent.closest('svg')) return NodeFilter.FILTER_REJECT;
+        return node.nodeValue.trim().length >= 5 ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+      }
+    });
+    const range = document.createRange();
+    let visited = 0;
+    let node;
+    while ((node = walker.nextNode()) && visited++ < MAX_TEXT_NODES && results.length < MAX_MATCHES) {
+      const matches = findMatches(node.nodeValue, detectors);
+      if (!matches.length || isHidden(node.parentElement)) continue;
+      for (const match of matches) {
+        range.setStart(node, match.start);
+        range.setEnd(node, match.end);
+        const rects = toRects(range.getClientRects());
+        if (rects.length) results.push({ kind: match.kind, label: match.label, preview: mask(match.text), rects });
+      }
+    }
+    range.detach();
+
+    // 2. Form fields, whose values are not text nodes; the whole field is covered
+    document.querySelectorAll('input:not([type=password]):not([type=hidden]), textarea').forEach(field => {
+      if (results.length >= MAX_MATCHES || !field.value || isHidden(field)) return;
+      const [match] = findMatches(field.value, detectors);
+      if (!match) return;
+      const rects = toRects([field.getBoundingClientRect()]);
+      if (rects.length) results.push({ kind: match.kind, label: match.label, preview: mask(match.text), rects });
+    });
+
+    return {
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
+      matches: results
+    };
+  }
+
+  window.__snipscreenSensitive = { scan };
+})();
@@ -0,0 +1,750 @@
+/**
+ * Annotation geometry and the selection tool.
+ * All coordinates are in canvas (full-resolution image) pixels.
+ * Geometry helpers switch on element.type so every annotation type that
+ * redrawCanvas and prepareFinalCanvas render can be selected, moved,
+ * resized and deleted the same way.
+ */
+
+const MIN_ELEMENT_SIZE = 2;
+const MIN_LINE_LENGTH = 4;
+const NUDGE_STEP = 1;
+const NUDGE_STEP_LARGE = 10;
+const MAGNIFIER_GAP = 24; // Between the source region and its inset
+// Zoom range of the magnifier, as offered by the toolbar
+const MAGNIFIER_MIN_ZOOM = 2;
+const MAGNIFIER_MAX_ZOOM = 4;
+
+/**
+ * Tool option keys (this.toolSettings) and the element property each one
+ * styles, per tool that creates the element. Used to show and live-edit the
+ * properties of the selected element.
+ */
+export const STYLE_PROPERTIES = {
+  annotate: { redaction: 'redaction', redactionColor: 'color', blockSize: 'blockSize', blurRadius: 'blurRadius' },
+  arrow: { color: 'color', lineWidth: 'lineWidth', arrowHead: 'arrowHead' },
+  line: { color: 'color', lineWidth: 'lineWidth' },
+  pen: { color: 'color', lineWidth: 'lineWidth' },
+  highlighter: { highlighterColor: 'color', highlighterWidth: 'lineWidth' },
+  text: { color: 'color', fontSize: 'fontSize', bold: 'bold', textBackground: 'background' },
+  step: { color: 'color', stepSize: 'size', stepLabel: 'label' },
+  magnifier: { color: 'color', magnifierZoom: 'zoom', magnifierShape: 'shape' },
+  spotlight: { spotlightOpacity: 'opacity', spotlightBlur: 'blur', spotlightShape: 'shape' },
+  rectangle: { color: 'color', lineWidth: 'lineWidth', dash: 'dash', fillOpacity: 'fillOpacity' },
+  ellipse: { color: 'color', lineWidth: 'lineWidth', dash: 'dash', fillOpacity: 'fillOpacity' },
+  roundedRect: { color: 'color', lineWidth: 'lineWidth', dash: 'dash', fillOpacity: 'fillOpacity' }
+};
+
+/**
+ * Distance from point p to the segment a-b.
+ */
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * CSS cursor for a drag handle: resize arrows for corners, crosshair for line end points.
+ */
+function getHandleCursor(handle) {
+  return handle === 'start' || handle === 'end' ? 'crosshair' : `${handle}-resize`;
+}
+
+/**
+ * Snaps the end point so the segment from start is a multiple of 45 degrees.
+ */
+function snapTo45Degrees(start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const step = Math.PI / 4;
+  const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+  const length = Math.hypot(dx, dy);
+  return { x: start.x + Math.cos(angle) * length, y: start.y + Math.sin(angle) * length };
+}
+
+/**
+ * Builds the element a shape tool would create for a drag from start to end.
+ * @param {string} tool - Active shape tool, e.g. 'arrow' or 'line'.
+ * @param {{x: number, y: number}} start - Drag start in canvas pixels.
+ * @param {{x: number, y: number}} end - Current drag position in canvas pixels.
+ * @param {{shiftKey?: boolean}} [modifiers] - Shift snaps lines to 45 degree angles
+ *   and constrains rectangles/ellipses to squares/circles.
+ * @returns {object|null} The element, or null if the drag is too small.
+ */
+export function createDraftElement(tool, start, end, modifiers = {}) {
+  const settings = this.toolSettings;
+  switch (tool) {
+    case 'arrow':
+    case 'line': {
+      const tip = modifiers.shiftKey ? snapTo45Degrees(start, end) : end;
+      if (Math.hypot(tip.x - start.x, tip.y - start.y) < MIN_LINE_LENGTH) return null;
+      return {
+        type: 'line',
+        id: `anno-${Date.now()}`,
+        x1: start.x, y1: start.y, x2: tip.x, y2: tip.y,
+        color: settings.color,
+        lineWidth: settings.lineWidth,
+        arrowHead: tool === 'arrow' ? settings.arrowHead : 'none'
+      };
+    }
+    case 'rectangle':
+    case 'ellipse':
+    case 'roundedRect': {
+      let width = end.x - start.x;
+      let height = end.y - start.y;
+      if (modifiers.shiftKey) {
+        // Square / circle
+        const size = Math.max(Math.abs(width), Math.abs(height));
+        width = Math.sign(width || 1) * size;
+        height = Math.sign(height || 1) * size;
+      }
+      if (Math.abs(width) < MIN_LINE_LENGTH && Math.abs(height) < MIN_LINE_LENGTH) return null;
+      return {
+        type: 'shape',
+        shape: tool,
+        id: `anno-${Date.now()}`,
+        x: Math.min(start.x, start.x + width),
+        y: Math.min(start.y, start.y + height),
+        width: Math.abs(width),
+        height: Math.abs(height),
+        color: settings.color,
+        lineWidth: settings.lineWidth,
+        dash: settings.dash,
+        fillOpacity: settings.fillOpacity
+      };
+    }
+    case 'magnifier':
+      return this.createMagnifierElement(start, end);
+    case 'spotlight': {
+      const width = Math.abs(end.x - start.x);
+      const height = Math.abs(end.y - start.y);
+      if (width < MIN_LINE_LENGTH || height < MIN_LINE_LENGTH) return null;
+      return {
+        type: 'spotlight',
+        id: `anno-${Date.now()}`,
+        x: Math.min(start.x, end.x),
+        y: Math.min(start.y, end.y),
+        width, height,
+        shape: settings.spotlightShape,
+        opacity: settings.spotlightOpacity,
+        blur: settings.spotlightBlur
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Builds a magnifier for a dragged source region. Circular magnifiers use a
+ * square source. The inset is placed beside the source (right, else left),
+ * kept inside the canvas, and can be moved with the select tool afterwards.
+ * @returns {object|null} A 'magnifier' element, or null if the region is too small.
+ */
+export function createMagnifierElement(start, end) {
+  const settings = this.toolSettings;
+  let width = end.x - start.x;
+  let height = end.y - start.y;
+  if (settings.magnifierShape === 'circle') {
+    const size = Math.max(Math.abs(width), Math.abs(height));
+    width = Math.sign(width || 1) * size;
+    height = Math.sign(height || 1) * size;
+  }
+  if (Math.abs(width) < MIN_LINE_LENGTH || Math.abs(height) < MIN_LINE_LENGTH) return null;
+
+  const source = {
+    x: Math.min(start.x, start.x + width),
+    y: Math.min(start.y, start.y + height),
+    width: Math.abs(width),
+    height: Math.abs(height)
+  };
+  const zoom = settings.magnifierZoom;
+  const insetWidth = source.width * zoom;
+  const insetHeight = source.height * zoom;
+  const canvasWidth = this.canvas.width;
+  const canvasHeight = this.canvas.height;
+
+  let x = source.x + source.width + MAGNIFIER_GAP;
+  if (x + insetWidth > canvasWidth && source.x - MAGNIFIER_GAP - insetWidth >= 0) {
+    x = source.x - MAGNIFIER_GAP - insetWidth;
+  }
+  x = Math.max(0, Math.min(x, canvasWidth - insetWidth));
+  const y = Math.max(0, Math.min(source.y + source.height / 2 - insetHeight / 2, canvasHeight - insetHeight));
+
+  return {
+    type: 'magnifier',
+    id: `anno-${Date.now()}`,
+    source,
+    x, y, zoom,
+    shape: settings.magnifierShape,
+    color: settings.color
+  };
+}
+
+/**
+ * Starts a freehand stroke for the pen or highlighter tool.
+ * Points are stored as [x, y] pairs in canvas pixels.
+ * @param {'pen' | 'highlighter'} tool - Active freehand tool.
+ * @param {{x: number, y: number}} start - First point.
+ * @returns {object} A 'stroke' element with a single point.
+ */
+export function createStrokeElement(tool, start) {
+  const settings = this.toolSettings;
+  const highlighter = tool === 'highlighter';
+  return {
+    type: 'stroke',
+    id: `anno-${Date.now()}`,
+    points: [[start.x, start.y]],
+    color: highlighter ? settings.highlighterColor : settings.color,
+    lineWidth: highlighter ? settings.highlighterWidth : settings.lineWidth,
+    highlighter
+  };
+}
+
+/**
+ * Appends a point to a stroke unless it is too close to the previous one,
+ * which keeps point lists small and the smoothed curve free of jitter.
+ * @returns {boolean} True if the point was added.
+ */
+export function appendStrokePoint(stroke, pos) {
+  const [lastX, lastY] = stroke.points[stroke.points.length - 1];
+  if (Math.hypot(pos.x - lastX, pos.y - lastY) < this.getHandleSize() / 4) return false;
+  stroke.points.push([pos.x, pos.y]);
+  return true;
+}
+
+/**
+ * Places the next numbered step callout at a canvas point.
+ * Numbers continue after the highest existing step.
+ */
+export function addStepElement(pos) {
+  const numbers = this.elements.annotationElements.filter(element => element && element.type === 'step').map(element => element.number);
+  const elementsBefore = this.cloneElements(this.elements.annotationElements);
+  this.elements.annotationElements.push({
+    type: 'step',
+    id: `anno-${Date.now()}`,
+    x: pos.x,
+    y: pos.y,
+    number: Math.max(0, ...numbers) + 1,
+    label: '',
+    color: this.toolSettings.color,
+    size: this.toolSettings.stepSize
+  });
+  this.recordElementsChange('Add step', elementsBefore);
+  this.redrawCanvas();
+}
+
+/**
+ * Renumbers step callouts 1..n in their current order, closing gaps left by deletions.
+ */
+export function renumberSteps() {
+  this.elements.annotationElements
+    .filter(element => element && element.type === 'step')
+    .sort((a, b) => a.number - b.number)
+    .forEach((element, index) => {
+      element.number = index + 1;
+    });
+}
+
+/**
+ * Builds a redaction rectangle using the current blackout tool settings.
+ * @returns {object} A 'rect' element with its redaction style.
+ */
+export function createRedactionElement(x, y, width, height) {
+  const settings = this.toolSettings;
+  return {
+    type: 'rect',
+    id: `anno-${Date.now()}`,
+    x, y, width, height,
+    color: settings.redactionColor,
+    redaction: settings.redaction,
+    blockSize: settings.blockSize,
+    blurRadius: settings.blurRadius
+  };
+}
+
+/**
+ * Returns the tool that creates an element, which decides its style properties.
+ * @returns {string|null} A key of STYLE_PROPERTIES.
+ */
+export function getElementTool(element) {
+  switch (element.type) {
+    case 'rect': return 'annotate';
+    case 'line': return element.arrowHead && element.arrowHead !== 'none' ? 'arrow' : 'line';
+    case 'stroke': return element.highlighter ? 'highlighter' : 'pen';
+    case 'text': return 'text';
+    case 'shape': return element.shape;
+    case 'step': return 'step';
+    case 'magnifier': return 'magnifier';
+    case 'spotlight': return 'spotlight';
+    default: return null;
+  }
+}
+
+/**
+ * Applies a changed tool option to the selected element, if it has that property.
+ * Consecutive edits of the same element undo as one step.
+ * @param {string} key - The this.toolSettings key that changed.
+ */
+export function applyToolSettingToSelection(key) {
+  if (!this.isToolActive('select')) return;
+  const element = this.getSelectedElement();
+  if (!element) return;
+  const property = (STYLE_PROPERTIES[this.getElementTool(element)] || {})[key];
+  if (!property || element[property] === this.toolSettings[key]) return;
+
+  const elementsBefore = this.cloneElements(this.elements.annotationElements);
+  element[property] = this.toolSettings[key];
+  this.recordElementsChange('Change style', elementsBefore, `style:${element.id}`);
+  this.redrawCanvas();
+}
+
+/**
+ * Returns the axis-aligned bounding box of an element.
+ * @param {object} element - Annotation element.
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getElementBounds(element) {
+  switch (element.type) {
+    case 'text': {
+      const { width, height } = this.measureTextElement(element);
+      return { x: element.x, y: element.y, width, height };
+    }
+    case 'step': {
+      const { width, height } = this.measureStepElement(element);
+      return { x: element.x - element.size, y: element.y - element.size, width, height };
+    }
+    case 'magnifier':
+      // The inset; moving or resizing it leaves the sampled source region in place
+      return {
+        x: element.x,
+        y: element.y,
+        width: element.source.width * element.zoom,
+        height: element.source.height * element.zoom
+      };
+    case 'line':
+      return {
+        x: Math.min(element.x1, element.x2),
+        y: Math.min(element.y1, element.y2),
+        width: Math.abs(element.x2 - element.x1),
+        height: Math.abs(element.y2 - element.y1)
+      };
+    case 'stroke': {
+      const xs = element.points.map(([x]) => x);
+      const ys = element.points.map(([, y]) => y);
+      const x = Math.min(...xs);
+      const y = Math.min(...ys);
+      return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+    case 'rect':
+    default:
+      return { x: element.x, y: element.y, width: element.width, height: element.height };
+  }
+}
+
+/**
+ * Checks whether a canvas point hits an element.
+ * @param {object} element - Annotation element.
+ * @param {{x: number, y: number}} pos - Point in canvas pixels.
+ * @param {number} tolerance - Extra hit margin in canvas pixels.
+ */
+export function hitTestElement(element, pos, tolerance = 0) {
+  if (element.type === 'line') {
+    const distance = distanceToSegment(pos, { x: element.x1, y: element.y1 }, { x: element.x2, y: element.y2 });
+    return distance <= element.lineWidth / 2 + tolerance;
+  }
+  if (element.type === 'stroke') {
+    const reach = element.lineWidth / 2 + tolerance;
+    const points = element.points.map(([x, y]) => ({ x, y }));
+    if (points.length === 1) return Math.hypot(pos.x - points[0].x, pos.y - points[0].y) <= reach;
+    for (let i = 1; i < points.length; i++) {
+      if (distanceToSegment(pos, points[i - 1], points[i]) <= reach) return true;
+    }
+    return false;
+  }
+  const bounds = this.getElementBounds(element);
+  return pos.x >= bounds.x - tolerance && pos.x <= bounds.x + bounds.width + tolerance &&
+    pos.y >= bounds.y - tolerance && pos.y <= bounds.y + bounds.height + tolerance;
+}
+
+/**
+ * Moves an element in place by the given offset.
+ */
+export function translateElement(element, dx, dy) {
+  switch (element.type) {
+    case 'line':
+      element.x1 += dx;
+      element.y1 += dy;
+      element.x2 += dx;
+      element.y2 += dy;
+      break;
+    case 'stroke':
+      element.points = element.points.map(([x, y]) => [x + dx, y + dy]);
+      break;
+    case 'rect':
+    default:
+      element.x += dx;
+      element.y += dy;
+  }
+}
+
+/**
+ * Resizes an element in place so its bounding box becomes the given bounds.
+ * @param {object} element - Annotation element.
+ * @param {{x: number, y: number, width: number, height: number}} bounds - New bounding box.
+ */
+export function resizeElement(element, bounds) {
+  switch (element.type) {
+    case 'text': {
+      // Text scales with its box height; the width follows from the font size
+      const old = this.getElementBounds(element);
+      element.fontSize = Math.max(8, Math.round(element.fontSize * bounds.height / Math.max(1, old.height)));
+      element.x = bounds.x;
+      element.y = bounds.y;
+      break;
+    }
+    case 'magnifier': {
+      // Resizing the inset changes the zoom factor; the source region stays
+      const old = this.getElementBounds(element);
+      element.zoom = Math.max(MAGNIFIER_MIN_ZOOM, Math.min(MAGNIFIER_MAX_ZOOM, bounds.height / element.source.height));
+      // A clamped inset keeps the edges opposite the dragged handle in place
+      const width = element.source.width * element.zoom;
+      const height = element.source.height * element.zoom;
+      element.x = bounds.x !== old.x ? bounds.x + bounds.width - width : bounds.x;
+      element.y = bounds.y !== old.y ? bounds.y + bounds.height - height : bounds.y;
+      break;
+    }
+    case 'step': {
+      // The circle scales with the box height and stays anchored to its left edge
+      const size = Math.max(6, bounds.height / 2);
+      element.size = Math.round(size);
+      element.x = bounds.x + size;
+      element.y = bounds.y + size;
+      break;
+    }
+    case 'line': {
+      // Map both end points from the old bounding box into the new one
+      const old = this.getElementBounds(element);
+      const mapX = (x) => old.width === 0 ? bounds.x + bounds.width / 2 : bounds.x + (x - old.x) / old.width * bounds.width;
+      const mapY = (y) => old.height === 0 ? bounds.y + bounds.height / 2 : bounds.y + (y - old.y) / old.height * bounds.height;
+      [element.x1, element.x2] = [mapX(element.x1), mapX(element.x2)];
+      [element.y1, element.y2] = [mapY(element.y1), mapY(element.y2)];
+      break;
+    }
+    case 'stroke': {
+      // Same mapping for every point of the stroke
+      const old = this.getElementBounds(element);
+      const mapX = (x) => old.width === 0 ? bounds.x + bounds.width / 2 : bounds.x + (x - old.x) / old.width * bounds.width;
+      const mapY = (y) => old.height === 0 ? bounds.y + bounds.height / 2 : bounds.y + (y - old.y) / old.height * bounds.height;
+      element.points = element.points.map(([x, y]) => [mapX(x), mapY(y)]);
+      break;
+    }
+    case 'rect':
+    default:
+      element.x = bounds.x;
+      element.y = bounds.y;
+      element.width = bounds.width;
+      element.height = bounds.height;
+  }
+}
+
+/**
+ * Maps an element into the coordinate space of a cropped image.
+ * Positions are scaled by the source/display ratio and shifted by the crop origin.
+ * @param {object} element - Annotation element (not modified).
+ * @param {number} scaleX - Source image pixels per display pixel (horizontal).
+ * @param {number} scaleY - Source image pixels per display pixel (vertical).
+ * @param {number} offsetX - Crop origin in source image pixels.
+ * @param {number} offsetY - Crop origin in source image pixels.
+ * @returns {object} The remapped element.
+ */
+export function remapElement(element, scaleX, scaleY, offsetX, offsetY) {
+  switch (element.type) {
+    case 'text':
+      return {
+        ...element,
+        x: Math.round(element.x * scaleX - offsetX),
+        y: Math.round(element.y * scaleY - offsetY),
+        fontSize: Math.max(1, Math.round(element.fontSize * scaleY))
+      };
+    case 'line':
+      return {
+        ...element,
+        x1: Math.round(element.x1 * scaleX - offsetX),
+        y1: Math.round(element.y1 * scaleY - offsetY),
+        x2: Math.round(element.x2 * scaleX - offsetX),
+        y2: Math.round(element.y2 * scaleY - offsetY)
+      };
+    case 'magnifier':
+      return {
+        ...element,
+        x: Math.round(element.x * scaleX - offsetX),
+        y: Math.round(element.y * scaleY - offsetY),
+        source: {
+          x: Math.round(element.source.x * scaleX - offsetX),
+          y: Math.round(element.source.y * scaleY - offsetY),
+          width: Math.round(element.source.width * scaleX),
+          height: Math.round(element.source.height * scaleY)
+        }
+      };
+    case 'step':
+      return {
+        ...element,
+        x: Math.round(element.x * scaleX - offsetX),
+        y: Math.round(element.y * scaleY - offsetY),
+        size: Math.max(1, Math.round(element.size * scaleY))
+      };
+    case 'stroke':
+      return {
+        ...element,
+        points: element.points.map(([x, y]) => [Math.round(x * scaleX - offsetX), Math.round(y * scaleY - offsetY)])
+      };
+    case 'rect':
+    default:
+      return {
+        ...element,
+        x: Math.round(element.x * scaleX - offsetX),
+        y: Math.round(element.y * scaleY - offsetY),
+        width: Math.round(element.width * scaleX),
+        height: Math.round(element.height * scaleY)
+      };
+  }
+}
+
+/**
+ * Returns the drag handles of an element keyed by handle name.
+ * Lines are edited through their end points, everything else through its corners.
+ */
+export function getElementHandles(element) {
+  if (element.type === 'line') {
+    return { start: [element.x1, element.y1], end: [element.x2, element.y2] };
+  }
+  const { x, y, width, height } = this.getElementBounds(element);
+  return { nw: [x, y], ne: [x + width, y], sw: [x, y + height], se: [x + width, y + height] };
+}
+
+/**
+ * Size of selection handles in canvas pixels, so they look the same on screen
+ * regardless of how much a HiDPI capture is scaled down for display.
+ */
+export function getHandleSize() {
+  const rect = this.ui.canvasRect;
+  const displayScale = rect && rect.width > 0 ? this.canvas.width / rect.width : 1;
+  return 8 * displayScale;
+}
+
+/**
+ * Returns the currently selected element, if it still exists.
+ */
+export function getSelectedElement() {
+  const id = this.selection.elementId;
+  if (!id) return null;
+  return this.elements.annotationElements.find(element => element && element.id === id) || null;
+}
+
+/**
+ * Selects an element (or clears the selection when passed null) and redraws.
+ */
+export function selectElement(element) {
+  this.selection.elementId = element ? element.id : null;
+  this.redrawCanvas();
+  this.updateToolOptions();
+}
+
+/**
+ * Finds the topmost element under a point.
+ */
+export function findElementAt(pos) {
+  const tolerance = this.getHandleSize() / 2;
+  const elements = this.elements.annotationElements;
+  for (let i = elements.length - 1; i >= 0; i--) {
+    if (elements[i] && !elements[i].disabled && this.hitTestElement(elements[i], pos, tolerance)) return elements[i];
+  }
+  return null;
+}
+
+/**
+ * Returns the handle of the selected element under a point
+ * ('nw' | 'ne' | 'sw' | 'se', or 'start' | 'end' for lines).
+ */
+export function findHandleAt(pos) {
+  const element = this.getSelectedElement();
+  if (!element) return null;
+  const reach = this.getHandleSize();
+  for (const [handle, [cx, cy]] of Object.entries(this.getElementHandles(element))) {
+    if (Math.abs(pos.x - cx) <= reach && Math.abs(pos.y - cy) <= reach) return handle;
+  }
+  return null;
+}
+
+/**
+ * Draws the selection outline and corner handles on the visible canvas.
+ * Never drawn into the exported image.
+ */
+export function drawSelectionOverlay() {
+  const element = this.getSelectedElement();
+  if (!element || !this.ctx) return;
+  const { x, y, width, height } = this.getElementBounds(element);
+  const handleSize = this.getHandleSize();
+  const lineWidth = handleSize / 8;
+
+  this.ctx.save();
+  if (element.type === 'line') {
+    // End point handles only, in the same style as the corner handles
+    this.ctx.fillStyle = '#007AFF';
+    this.ctx.strokeStyle = '#FFFFFF';
+    this.ctx.lineWidth = lineWidth;
+    Object.values(this.getElementHandles(element)).forEach(([cx, cy]) => {
+      this.ctx.fillRect(cx - handleSize / 2, cy - handleSize / 2, handleSize, handleSize);
+      this.ctx.strokeRect(cx - handleSize / 2, cy - handleSize / 2, handleSize, handleSize);
+    });
+  } else {
+    this.ctx.setLineDash([4 * lineWidth, 4 * lineWidth]);
+    this.ctx.strokeStyle = '#007AFF';
+    this.ctx.lineWidth = 2 * lineWidth;
+    this.ctx.strokeRect(x, y, width, height);
+    this.ctx.setLineDash([]);
+    this.drawCornerHandles(x, y, width, height, handleSize);
+  }
+  this.ctx.restore();
+}
+
+/**
+ * Starts a select-tool interaction: resize via a handle, move, or clear the selection.
+ */
+export function handleSelectMouseDown(pos) {
+  const handle = this.findHandleAt(pos);
+  const element = handle ? this.getSelectedElement() : this.findElementAt(pos);
+
+  if (!element) {
+    this.selectElement(null);
+    return;
+  }
+
+  if (this.selection.elementId !== element.id) {
+    this.selection.elementId = element.id;
+    this.updateToolOptions();
+  }
+  this.selection.drag = {
+    mode: handle ? 'resize' : 'move',
+    handle,
+    startPos: pos,
+    startBounds: this.getElementBounds(element),
+    startElement: structuredClone(element),
+    elementsBefore: this.cloneElements(this.elements.annotationElements),
+    changed: false
+  };
+  this.state.isDrawing = true;
+  if (this.canvas) this.canvas.style.cursor = handle ? getHandleCursor(handle) : 'move';
+  this.redrawCanvas();
+}
+
+/**
+ * Updates the dragged element while moving or resizing.
+ */
+export function handleSelectMouseMove(pos) {
+  const drag = this.selection.drag;
+  const element = this.getSelectedElement();
+
+  if (!drag || !element) {
+    // Hover feedback only
+    if (!this.canvas) return;
+    const handle = this.findHandleAt(pos);
+    this.canvas.style.cursor = handle ? getHandleCursor(handle) : this.findElementAt(pos) ? 'move' : 'default';
+    return;
+  }
+
+  const dx = pos.x - drag.startPos.x;
+  const dy = pos.y - drag.startPos.y;
+  // Start from the original geometry each time to avoid accumulating rounding errors
+  Object.assign(element, structuredClone(drag.startElement));
+
+  if (drag.mode === 'move') {
+    this.translateElement(element, dx, dy);
+  } else if (element.type === 'line') {
+    // Drag a single end point
+    const [xKey, yKey] = drag.handle === 'start' ? ['x1', 'y1'] : ['x2', 'y2'];
+    element[xKey] += dx;
+    element[yKey] += dy;
+  } else {
+    const start = drag.startBounds;
+    let left = start.x;
+    let top = start.y;
+    let right = start.x + start.width;
+    let bottom = start.y + start.height;
+    if (drag.handle.includes('w')) left += dx;
+    if (drag.handle.includes('e')) right += dx;
+    if (drag.handle.includes('n')) top += dy;
+    if (drag.handle.includes('s')) bottom += dy;
+    this.resizeElement(element, {
+      x: Math.min(left, right),
+      y: Math.min(top, bottom),
+      width: Math.max(MIN_ELEMENT_SIZE, Math.abs(right - left)),
+      height: Math.max(MIN_ELEMENT_SIZE, Math.abs(bottom - top))
+    });
+  }
+  drag.changed = dx !== 0 || dy !== 0;
+  requestAnimationFrame(() => this.redrawCanvas());
+}
+
+/**
+ * Finishes a move/resize drag and records it in the history.
+ */
+export function finishSelectionDrag() {
+  const drag = this.selection.drag;
+  this.selection.drag = null;
+  this.state.isDrawing = false;
+  if (!drag) return;
+  if (drag.changed) {
+    this.recordElementsChange(drag.mode === 'move' ? 'Move annotation' : 'Resize annotation', drag.elementsBefore);
+  }
+  this.redrawCanvas();
+}
+
+/**
+ * Deletes the selected element.
+ */
+export function deleteSelectedElement() {
+  const element = this.getSelectedElement();
+  if (!element) return;
+  const elementsBefore = this.cloneElements(this.elements.annotationElements);
+  this.elements.annotationElements = this.elements.annotationElements.filter(item => item !== element);
+  if (element.type === 'step') this.renumberSteps();
+  this.selection.elementId = null;
+  this.recordElementsChange('Delete annotation', elementsBefore);
+  this.redrawCanvas();
+  this.updateToolOptions();
+}
+
+/**
+ * Handles select-tool keys: arrows nudge (Shift for larger steps),
+ * Delete/Backspace removes and Escape clears the selection.
+ * @returns {boolean} True if the key was handled.
+ */
+export function handleSelectionKeyDown(e) {
+  const element = this.getSelectedElement();
+  if (!element || this.selection.drag) return false;
+
+  if (e.key === 'Delete' || e.key === 'Backspace') {
+    this.deleteSelectedElement();
+    return true;
+  }
+  if (e.key === 'Escape') {
+    this.selectElement(null);
+    return true;
+  }
+
+  const step = e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+  const offsets = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+  if (!offsets[e.key]) return false;
+
+  const elementsBefore = this.cloneElements(this.elements.annotationElements);
+  this.translateElement(element, ...offsets[e.key]);
+  // Consecutive nudges of the same element undo as one step
+  this.recordElementsChange('Nudge annotation', elementsBefore, `nudge:${element.id}`);
+  this.redrawCanvas();
+  return true;
+}
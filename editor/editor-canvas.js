@@ -4,6 +4,19 @@
  */
 export function drawCropGuides(x, y, width, height) {
   if (!this.ctx || !this.canvas) return;
+
+  // --- Redraw underlying canvas state FIRST ---
+  this.redrawCanvas(); // Includes base image, annotations, text, arrows
+
+  // --- Now draw crop overlay and guides on top ---
+  this.drawCropOverlay(x, y, width, height);
+}
+
+/**
+ * Dims everything outside a crop area and outlines it, on top of the current canvas content.
+ * Used while dragging (drawCropGuides) and for a crop area waiting to be applied (redrawCanvas).
+ */
+export function drawCropOverlay(x, y, width, height) {
   // Clamp coordinates
   const canvasWidth = this.canvas.width;
   const canvasHeight = this.canvas.height;
@@ -12,10 +25,6 @@ export function drawCropGuides(x, y, width, height) {
   width = Math.max(0, Math.min(width, canvasWidth - x));
   height = Math.max(0, Math.min(height, canvasHeight - y));
 
-  // --- Redraw underlying canvas state FIRST ---
-  this.redrawCanvas(); // Includes base image, annotations, text, arrows
-
-  // --- Now draw crop overlay and guides on top ---
   this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)'; // Overlay color
   // Draw overlay rectangles outside the crop area
   this.ctx.fillRect(0, 0, canvasWidth, y); // Top
@@ -43,22 +52,543 @@ export function drawCropGuides(x, y, width, height) {
 }
 
 /**
- * Draws the interactive square corner handles for the crop selection box.
+ * Draws the interactive square corner handles for the crop or annotation selection box.
+ * @param {number} [handleSize=8] - Handle edge length in canvas pixels.
  */
-export function drawCornerHandles(x, y, width, height) {
+export function drawCornerHandles(x, y, width, height, handleSize = 8) {
   if (!this.ctx) return;
-  const handleSize = 8;
   const handleOffset = handleSize / 2;
   const corners = [ [x, y], [x + width, y], [x, y + height], [x + width, y + height] ];
   this.ctx.fillStyle = '#007AFF';
   this.ctx.strokeStyle = '#FFFFFF'; // White border for contrast
-  this.ctx.lineWidth = 1;
+  this.ctx.lineWidth = handleSize / 8;
   corners.forEach(([cx, cy]) => {
     this.ctx.fillRect(cx - handleOffset, cy - handleOffset, handleSize, handleSize);
     this.ctx.strokeRect(cx - handleOffset, cy - handleOffset, handleSize, handleSize);
   });
 }
 
+const TEXT_FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+const TEXT_LINE_HEIGHT = 1.25;
+const TEXT_PILL_PADDING = 0.4; // Relative to the font size
+const HIGHLIGHTER_OPACITY = 0.5;
+const STEP_LABEL_GAP = 0.3; // Relative to the step radius
+
+let measureContext = null;
+let scratchCanvas = null;
+let blurCanvas = null;
+let spotlightCanvas = null;
+
+/**
+ * Returns a reusable scratch canvas of at least the given size.
+ */
+function getScratchCanvas(existing, width, height) {
+  const canvas = existing || document.createElement('canvas');
+  if (canvas.width < width) canvas.width = width;
+  if (canvas.height < height) canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Builds the CSS font shorthand used for text annotations.
+ * @param {number} fontSize - Font size in canvas pixels.
+ * @param {boolean} bold - Whether to use a bold weight.
+ * @returns {string}
+ */
+export function buildTextFont(fontSize, bold) {
+  return `${bold ? 700 : 400} ${fontSize}px ${TEXT_FONT_FAMILY}`;
+}
+
+/**
+ * Lays out a text annotation: its lines, line height, pill padding and box size.
+ * @param {object} element - Text element.
+ * @returns {{lines: string[], lineHeight: number, padding: number, width: number, height: number}}
+ */
+export function measureTextElement(element) {
+  if (!measureContext) measureContext = document.createElement('canvas').getContext('2d');
+  measureContext.font = this.buildTextFont(element.fontSize, element.bold);
+  const lines = String(element.text || '').split('\n');
+  const lineHeight = element.fontSize * TEXT_LINE_HEIGHT;
+  const padding = element.background ? element.fontSize * TEXT_PILL_PADDING : 0;
+  const textWidth = Math.max(0, ...lines.map(line => measureContext.measureText(line).width));
+  return {
+    lines,
+    lineHeight,
+    padding,
+    width: textWidth + padding * 2,
+    height: lines.length * lineHeight + padding * 2
+  };
+}
+
+/**
+ * Measures a numbered step callout: the circle plus its optional label pill.
+ * The element's x/y is the circle center and size its radius.
+ * @param {object} element - Step element.
+ * @returns {{radius: number, labelX: number, labelWidth: number, labelFontSize: number,
+ *   width: number, height: number}} Width/height of the whole callout.
+ */
+export function measureStepElement(element) {
+  const radius = element.size;
+  const labelFontSize = Math.round(radius * 0.9);
+  let labelWidth = 0;
+  if (element.label) {
+    if (!measureContext) measureContext = document.createElement('canvas').getContext('2d');
+    measureContext.font = this.buildTextFont(labelFontSize, true);
+    labelWidth = measureContext.measureText(element.label).width + labelFontSize * TEXT_PILL_PADDING * 2;
+  }
+  const labelX = element.x + radius + (labelWidth ? radius * STEP_LABEL_GAP : 0);
+  return {
+    radius,
+    labelX,
+    labelWidth,
+    labelFontSize,
+    width: radius * 2 + (labelWidth ? radius * STEP_LABEL_GAP + labelWidth : 0),
+    height: radius * 2
+  };
+}
+
+/**
+ * Picks a legible pill color for the given text color (dark pill for light text and vice versa).
+ */
+export function getTextPillColor(color) {
+  return isLightColor(color) ? 'rgba(0, 0, 0, 0.75)' : 'rgba(255, 255, 255, 0.85)';
+}
+
+/**
+ * Returns true for light '#rrggbb' colors (perceived luminance above 60%).
+ */
+function isLightColor(color) {
+  const hex = /^#([0-9a-f]{6})$/i.exec(color || '');
+  if (!hex) return false;
+  const value = parseInt(hex[1], 16);
+  const luminance = (0.299 * (value >> 16) + 0.587 * ((value >> 8) & 255) + 0.114 * (value & 255)) / 255;
+  return luminance > 0.6;
+}
+
+/**
+ * Draws a single vector annotation onto a context.
+ * Shared by redrawCanvas (visible canvas) and prepareFinalCanvas (export), so
+ * both render identically at full resolution.
+ * @param {CanvasRenderingContext2D} ctx - Target context.
+ * @param {object} element - Annotation element in canvas pixels.
+ */
+export function drawAnnotation(ctx, element) {
+  if (!ctx || !element || element.disabled) return; // Skipped auto-redactions are never rendered
+  switch (element.type) {
+    case 'rect':
+      this.drawRedactionElement(ctx, element);
+      break;
+    case 'line':
+      drawLineElement(ctx, element);
+      break;
+    case 'stroke':
+      drawStrokeElement(ctx, element);
+      break;
+    case 'shape':
+      drawShapeElement(ctx, element);
+      break;
+    case 'step':
+      this.drawStepElement(ctx, element);
+      break;
+    case 'magnifier':
+      this.drawMagnifierElement(ctx, element);
+      break;
+    case 'spotlight':
+      break; // Composed as one layer by drawSpotlights, below all other annotations
+    case 'text':
+      this.drawTextElement(ctx, element);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Draws a redaction rectangle: 'solid' (any color), 'pixelate' or 'blur'.
+ * Pixelate and blur are computed from the offscreen base image only and are
+ * fully opaque, so no original pixels survive in the preview or the export.
+ */
+export function drawRedactionElement(ctx, element) {
+  const x = Math.round(element.x);
+  const y = Math.round(element.y);
+  const width = Math.round(element.width);
+  const height = Math.round(element.height);
+  if (width <= 0 || height <= 0) return;
+
+  const style = element.redaction || 'solid';
+  if (style === 'solid' || !this.offscreenCanvas) {
+    ctx.fillStyle = element.color || '#000000';
+    ctx.fillRect(x, y, width, height);
+    return;
+  }
+
+  // Average the region down to one pixel per block...
+  const blockSize = Math.max(2, style === 'blur' ? Math.round((element.blurRadius || 16) / 2) : (element.blockSize || 16));
+  const columns = Math.max(1, Math.ceil(width / blockSize));
+  const rows = Math.max(1, Math.ceil(height / blockSize));
+  scratchCanvas = getScratchCanvas(scratchCanvas, columns, rows);
+  const scratchCtx = scratchCanvas.getContext('2d');
+  scratchCtx.imageSmoothingEnabled = true;
+  scratchCtx.imageSmoothingQuality = 'high';
+  scratchCtx.clearRect(0, 0, columns, rows);
+  scratchCtx.drawImage(this.offscreenCanvas, x, y, width, height, 0, 0, columns, rows);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x, y, width, height);
+  ctx.clip();
+
+  // ...then scale the blocks back up (pixelate), which is the opaque base for blur too
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(scratchCanvas, 0, 0, columns, rows, x, y, columns * blockSize, rows * blockSize);
+
+  if (style === 'blur') {
+    // Gaussian blur of the downsampled blocks; edges stay opaque thanks to the layer below
+    const radius = element.blurRadius || 16;
+    const margin = Math.ceil(radius * 2);
+    blurCanvas = getScratchCanvas(blurCanvas, width + margin * 2, height + margin * 2);
+    const blurCtx = blurCanvas.getContext('2d');
+    blurCtx.clearRect(0, 0, blurCanvas.width, blurCanvas.height);
+    blurCtx.filter = `blur(${radius / 2}px)`;
+    blurCtx.imageSmoothingEnabled = true;
+    blurCtx.imageSmoothingQuality = 'high';
+    blurCtx.drawImage(scratchCanvas, 0, 0, columns, rows, margin, margin, columns * blockSize, rows * blockSize);
+    blurCtx.filter = 'none';
+    ctx.drawImage(blurCanvas, margin, margin, width, height, x, y, width, height);
+  }
+  ctx.restore();
+}
+
+/**
+ * Returns the line dash pattern for a dash style, scaled with the stroke width.
+ */
+function getDashPattern(dash, lineWidth) {
+  switch (dash) {
+    case 'dashed': return [lineWidth * 3, lineWidth * 2];
+    case 'dotted': return [0, lineWidth * 2]; // Round caps turn zero-length dashes into dots
+    default: return [];
+  }
+}
+
+/**
+ * Draws an outlined rectangle, ellipse or rounded rectangle with an optional
+ * translucent fill in the stroke color.
+ */
+function drawShapeElement(ctx, element) {
+  const { x, y, width, height, lineWidth } = element;
+  ctx.save();
+  ctx.beginPath();
+  if (element.shape === 'ellipse') {
+    ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+  } else if (element.shape === 'roundedRect') {
+    const radius = Math.min(width / 2, height / 2, Math.max(lineWidth * 2, Math.min(width, height) * 0.15));
+    ctx.roundRect(x, y, width, height, radius);
+  } else {
+    ctx.rect(x, y, width, height);
+  }
+
+  if (element.fillOpacity > 0) {
+    ctx.globalAlpha = element.fillOpacity;
+    ctx.fillStyle = element.color;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+
+  ctx.strokeStyle = element.color;
+  ctx.lineWidth = lineWidth;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = element.dash === 'dotted' ? 'round' : 'butt';
+  ctx.setLineDash(getDashPattern(element.dash, lineWidth));
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draws a freehand stroke as a smoothed curve through its points
+ * (quadratic segments between point midpoints). Highlighter strokes are
+ * semi-transparent and multiplied, so dark text underneath stays readable.
+ */
+function drawStrokeElement(ctx, element) {
+  const points = element.points;
+  if (!points || !points.length) return;
+
+  ctx.save();
+  ctx.strokeStyle = element.color;
+  ctx.lineWidth = element.lineWidth;
+  ctx.lineJoin = 'round';
+  if (element.highlighter) {
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.globalAlpha = HIGHLIGHTER_OPACITY;
+    ctx.lineCap = 'square';
+  } else {
+    ctx.lineCap = 'round';
+  }
+
+  ctx.beginPath();
+  const [startX, startY] = points[0];
+  ctx.moveTo(startX, startY);
+  if (points.length === 1) {
+    ctx.lineTo(startX + 0.01, startY); // A click leaves a dot
+  } else {
+    for (let i = 1; i < points.length - 1; i++) {
+      const [x, y] = points[i];
+      const [nextX, nextY] = points[i + 1];
+      ctx.quadraticCurveTo(x, y, (x + nextX) / 2, (y + nextY) / 2);
+    }
+    const [endX, endY] = points[points.length - 1];
+    ctx.lineTo(endX, endY);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draws a straight line with optional arrowheads ('none' | 'end' | 'both').
+ */
+function drawLineElement(ctx, element) {
+  const { x1, y1, x2, y2, color, lineWidth, arrowHead } = element;
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const headLength = Math.max(10, lineWidth * 4);
+  const headAngle = Math.PI / 7;
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  // Stop the shaft inside the head so the thick line does not poke through the tip
+  const inset = Math.min(headLength * 0.8, length / 2);
+  const hasEndHead = arrowHead === 'end' || arrowHead === 'both';
+  const hasStartHead = arrowHead === 'both';
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  ctx.beginPath();
+  ctx.moveTo(x1 + (hasStartHead ? Math.cos(angle) * inset : 0), y1 + (hasStartHead ? Math.sin(angle) * inset : 0));
+  ctx.lineTo(x2 - (hasEndHead ? Math.cos(angle) * inset : 0), y2 - (hasEndHead ? Math.sin(angle) * inset : 0));
+  ctx.stroke();
+
+  const drawHead = (tipX, tipY, direction) => {
+    ctx.beginPath();
+    ctx.moveTo(tipX, tipY);
+    ctx.lineTo(tipX - headLength * Math.cos(direction - headAngle), tipY - headLength * Math.sin(direction - headAngle));
+    ctx.lineTo(tipX - headLength * Math.cos(direction + headAngle), tipY - headLength * Math.sin(direction + headAngle));
+    ctx.closePath();
+    ctx.fill();
+  };
+  if (hasEndHead) drawHead(x2, y2, angle);
+  if (hasStartHead) drawHead(x1, y1, angle + Math.PI);
+
+  ctx.restore();
+}
+
+/**
+ * Draws a (multi-line) text annotation with an optional background pill.
+ */
+export function drawTextElement(ctx, element) {
+  if (!element.text) return;
+  const layout = this.measureTextElement(element);
+
+  ctx.save();
+  if (element.background) {
+    ctx.fillStyle = this.getTextPillColor(element.color);
+    ctx.beginPath();
+    ctx.roundRect(element.x, element.y, layout.width, layout.height, Math.min(layout.height / 2, element.fontSize));
+    ctx.fill();
+  }
+  ctx.font = this.buildTextFont(element.fontSize, element.bold);
+  ctx.fillStyle = element.color;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  layout.lines.forEach((line, index) => {
+    ctx.fillText(line, element.x + layout.padding, element.y + layout.padding + layout.lineHeight * (index + 0.5));
+  });
+  ctx.restore();
+}
+
+/**
+ * Adds a spotlight's rectangle or ellipse to the current path.
+ */
+function traceSpotlight(ctx, element) {
+  const { x, y, width, height } = element;
+  if (element.shape === 'ellipse') {
+    ctx.moveTo(x + width, y + height / 2);
+    ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+  } else {
+    ctx.rect(x, y, width, height);
+  }
+}
+
+/**
+ * Dims (and optionally blurs) everything outside the spotlight elements.
+ * All spotlights share one layer, so overlapping regions stay bright; it uses
+ * the strongest opacity and blur among them. Drawn right after the base image
+ * by both redrawCanvas and prepareFinalCanvas, so other annotations stay on top.
+ * @param {CanvasRenderingContext2D} ctx - Target context, sized like the base image.
+ * @param {Array<object>} elements - Annotation elements; non-spotlights are ignored.
+ */
+export function drawSpotlights(ctx, elements) {
+  const spots = elements.filter(element => element && element.type === 'spotlight' && !element.disabled);
+  if (!spots.length || !this.offscreenCanvas) return;
+
+  const width = this.offscreenCanvas.width;
+  const height = this.offscreenCanvas.height;
+  const opacity = Math.max(...spots.map(spot => spot.opacity));
+  const blur = Math.max(...spots.map(spot => spot.blur || 0));
+
+  spotlightCanvas = getScratchCanvas(spotlightCanvas, width, height);
+  const layer = spotlightCanvas.getContext('2d');
+  layer.save();
+  layer.clearRect(0, 0, spotlightCanvas.width, spotlightCanvas.height);
+  if (blur > 0) {
+    layer.filter = `blur(${blur}px)`;
+    layer.drawImage(this.offscreenCanvas, 0, 0);
+    layer.filter = 'none';
+  }
+  layer.fillStyle = `rgba(0, 0, 0, ${opacity})`;
+  layer.fillRect(0, 0, width, height);
+
+  // Punch the bright regions out of the layer
+  layer.globalCompositeOperation = 'destination-out';
+  layer.beginPath();
+  spots.forEach(spot => traceSpotlight(layer, spot));
+  layer.fill();
+  layer.restore();
+
+  ctx.drawImage(spotlightCanvas, 0, 0, width, height, 0, 0, width, height);
+}
+
+/**
+ * Cheap preview of a spotlight being drawn: dims the rest without blurring.
+ */
+export function drawSpotlightPreview(ctx, element) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  traceSpotlight(ctx, element);
+  ctx.fillStyle = `rgba(0, 0, 0, ${element.opacity})`;
+  ctx.fill('evenodd');
+  ctx.restore();
+}
+
+/**
+ * Adds a rectangle or ellipse path filling the given box.
+ */
+function traceMagnifierShape(ctx, shape, x, y, width, height) {
+  ctx.beginPath();
+  if (shape === 'circle') ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+  else ctx.rect(x, y, width, height);
+}
+
+/**
+ * Distance from the center of a box to its outline along a direction,
+ * used to start/end the connector line on the shape edges.
+ */
+function distanceToOutline(shape, width, height, dx, dy) {
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return 0;
+  const ux = dx / length;
+  const uy = dy / length;
+  if (shape === 'circle') return 1 / Math.hypot(ux / (width / 2), uy / (height / 2));
+  return Math.min(ux ? (width / 2) / Math.abs(ux) : Infinity, uy ? (height / 2) / Math.abs(uy) : Infinity);
+}
+
+/**
+ * Draws a magnifier: the outlined source region, a connector and the enlarged
+ * inset. Pixels are sampled from the full-resolution base image without
+ * smoothing, so small text stays sharp at any display scale.
+ */
+export function drawMagnifierElement(ctx, element) {
+  const { source, zoom, shape } = element;
+  const width = source.width * zoom;
+  const height = source.height * zoom;
+  const borderWidth = Math.max(2, Math.round(Math.min(width, height) / 80));
+
+  ctx.save();
+  ctx.strokeStyle = element.color;
+  ctx.lineWidth = borderWidth;
+
+  // Source outline and connector between the two shapes' edges
+  traceMagnifierShape(ctx, shape, source.x, source.y, source.width, source.height);
+  ctx.stroke();
+  const sourceCenter = { x: source.x + source.width / 2, y: source.y + source.height / 2 };
+  const insetCenter = { x: element.x + width / 2, y: element.y + height / 2 };
+  const dx = insetCenter.x - sourceCenter.x;
+  const dy = insetCenter.y - sourceCenter.y;
+  const length = Math.hypot(dx, dy);
+  const fromSource = distanceToOutline(shape, source.width, source.height, dx, dy);
+  const fromInset = distanceToOutline(shape, width, height, dx, dy);
+  if (length > fromSource + fromInset) {
+    ctx.beginPath();
+    ctx.moveTo(sourceCenter.x + dx / length * fromSource, sourceCenter.y + dy / length * fromSource);
+    ctx.lineTo(insetCenter.x - dx / length * fromInset, insetCenter.y - dy / length * fromInset);
+    ctx.stroke();
+  }
+
+  // Inset, clipped to its shape
+  ctx.save();
+  traceMagnifierShape(ctx, shape, element.x, element.y, width, height);
+  ctx.clip();
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fill();
+  if (this.offscreenCanvas) {
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(this.offscreenCanvas, source.x, source.y, source.width, source.height, element.x, element.y, width, height);
+  }
+  // Redactions must stay redacted inside the inset too
+  ctx.translate(element.x, element.y);
+  ctx.scale(zoom, zoom);
+  ctx.translate(-source.x, -source.y);
+  this.elements.annotationElements.forEach(other => {
+    if (other && other.type === 'rect') this.drawAnnotation(ctx, other);
+  });
+  ctx.restore();
+
+  traceMagnifierShape(ctx, shape, element.x, element.y, width, height);
+  ctx.lineWidth = borderWidth * 1.5;
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draws a numbered step callout: a filled circle with the number and, if set,
+ * a label pill to its right in the same color.
+ */
+export function drawStepElement(ctx, element) {
+  const layout = this.measureStepElement(element);
+  const { radius } = layout;
+  const textColor = isLightColor(element.color) ? '#1d1d1f' : '#FFFFFF';
+
+  ctx.save();
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  if (layout.labelWidth) {
+    const pillHeight = radius * 1.5;
+    ctx.fillStyle = element.color;
+    ctx.beginPath();
+    ctx.roundRect(layout.labelX, element.y - pillHeight / 2, layout.labelWidth, pillHeight, pillHeight / 2);
+    ctx.fill();
+    ctx.fillStyle = textColor;
+    ctx.font = this.buildTextFont(layout.labelFontSize, true);
+    ctx.fillText(element.label, layout.labelX + layout.labelWidth / 2, element.y);
+  }
+
+  // White ring keeps the circle visible on backgrounds of the same color
+  ctx.beginPath();
+  ctx.arc(element.x, element.y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = element.color;
+  ctx.fill();
+  ctx.lineWidth = Math.max(1, radius / 8);
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.stroke();
+
+  ctx.fillStyle = textColor;
+  ctx.font = this.buildTextFont(Math.round(radius * (element.number > 9 ? 0.95 : 1.15)), true);
+  ctx.fillText(String(element.number), element.x, element.y + radius * 0.05);
+  ctx.restore();
+}
+
 /**
  * Creates a new canvas containing the final composed image (base + elements).
  * Used for saving or copying.
@@ -95,21 +625,12 @@ export function prepareFinalCanvas() {
   // 1. Draw the base image with high quality
   finalCtx.drawImage(this.offscreenCanvas, 0, 0);
 
-  // 2. Draw Annotation Elements (Blackout Rects) with crisp edges
+  // 2. Draw Annotation Elements (spotlights, redactions, lines, text) through the same path as the preview
   if (this.elements.annotationElements && this.elements.annotationElements.length > 0) {
+    this.drawSpotlights(finalCtx, this.elements.annotationElements);
     this.elements.annotationElements.forEach(element => {
       if (!element) return;
-      if (element.type === 'rect') {
-        // Use crisp black rectangles for better quality
-        finalCtx.fillStyle = '#000000';
-        finalCtx.fillRect(
-          Math.round(element.x), 
-          Math.round(element.y), 
-          Math.round(element.width), 
-          Math.round(element.height)
-        );
-      }
-      // Add other shapes here if implemented
+      this.drawAnnotation(finalCtx, element);
     });
   }
 
@@ -0,0 +1,156 @@
+/**
+ * Review of sensitive data detected on the page before the editor opened.
+ * Each match becomes one or more redaction rects sharing a `detection` tag.
+ * Toggling a match off sets `disabled` on its rects instead of removing them,
+ * so they keep following crops and undo like any other element.
+ */
+
+// Extra margin around detected text, in capture CSS pixels
+const DETECTION_PADDING = 2;
+
+/**
+ * Adds redaction rects for detected sensitive data and shows the review panel.
+ * @param {{width: number, matches: Array<{kind: string, label: string, preview: string,
+ *   rects: Array<{x: number, y: number, width: number, height: number}>}>} | null} detections -
+ *   Matches in capture CSS pixels, as handed over by the background script.
+ */
+export function applyDetectedRedactions(detections) {
+  if (!detections || !detections.width || !Array.isArray(detections.matches) || !detections.matches.length) return;
+
+  // CSS-to-image factor of this capture (devicePixelRatio and page zoom included)
+  const scale = this.canvas.width / detections.width;
+  const stamp = Date.now();
+
+  detections.matches.forEach((match, matchIndex) => {
+    const detection = { id: `det-${stamp}-${matchIndex}`, kind: match.kind, label: match.label, preview: match.preview };
+    match.rects.forEach((rect, rectIndex) => {
+      const x = Math.max(0, Math.floor((rect.x - DETECTION_PADDING) * scale));
+      const y = Math.max(0, Math.floor((rect.y - DETECTION_PADDING) * scale));
+      const right = Math.min(this.canvas.width, Math.ceil((rect.x + rect.width + DETECTION_PADDING) * scale));
+      const bottom = Math.min(this.canvas.height, Math.ceil((rect.y + rect.height + DETECTION_PADDING) * scale));
+      if (right <= x || bottom <= y) return;
+
+      const element = this.createRedactionElement(x, y, right - x, bottom - y);
+      element.id = `${detection.id}-${rectIndex}`;
+      element.detection = detection;
+      this.elements.annotationElements.push(element);
+    });
+  });
+
+  const count = this.getDetectionGroups().length;
+  if (!count) return;
+  this.redrawCanvas();
+  this.showToast(`Redacted ${count} sensitive item${count === 1 ? '' : 's'} automatically. Review them in the panel.`, false, 'info');
+}
+
+/**
+ * Groups auto-detected redaction rects by the match they belong to.
+ * @returns {Array<{id: string, label: string, preview: string, enabled: boolean}>}
+ */
+export function getDetectionGroups() {
+  const groups = new Map();
+  this.elements.annotationElements.forEach(element => {
+    if (!element || !element.detection) return;
+    const { id, label, preview } = element.detection;
+    const group = groups.get(id) || { id, label, preview, enabled: false };
+    group.enabled = group.enabled || !element.disabled;
+    groups.set(id, group);
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Turns all rects of one detected match on or off.
+ * @param {string} detectionId - The match to toggle.
+ * @param {boolean} enabled - Whether the match should be redacted.
+ */
+export function setDetectionEnabled(detectionId, enabled) {
+  const elementsBefore = this.cloneElements(this.elements.annotationElements);
+  let changed = false;
+
+  this.elements.annotationElements.forEach(element => {
+    if (!element || !element.detection || element.detection.id !== detectionId) return;
+    if (!!element.disabled === !enabled) return;
+    if (enabled) delete element.disabled;
+    else element.disabled = true;
+    changed = true;
+  });
+  if (!changed) return;
+
+  const selected = this.getSelectedElement();
+  if (selected && selected.disabled) this.selection.elementId = null;
+
+  this.recordElementsChange(enabled ? 'Restore detected redaction' : 'Skip detected redaction', elementsBefore);
+  this.redrawCanvas();
+}
+
+/**
+ * Outlines a redaction the user switched off, so it can still be found (editor only).
+ */
+export function drawDisabledRedaction(ctx, element) {
+  const lineWidth = Math.max(1, this.getHandleSize() / 4);
+  ctx.save();
+  ctx.strokeStyle = 'rgba(255, 59, 48, 0.9)';
+  ctx.lineWidth = lineWidth;
+  ctx.setLineDash([lineWidth * 4, lineWidth * 3]);
+  ctx.strokeRect(element.x, element.y, element.width, element.height);
+  ctx.restore();
+}
+
+/**
+ * Re-renders the review panel when the set of detections or their state changed.
+ * Called after every redraw, so it bails out early when nothing changed.
+ */
+export function updateDetectionPanel() {
+  const panel = document.getElementById('detectionPanel');
+  const list = document.getElementById('detectionList');
+  if (!panel || !list) return;
+
+  const groups = this.getDetectionGroups();
+  const signature = groups.map(group => `${group.id}:${group.enabled}`).join('|');
+  if (signature === this.ui.detectionSignature) return;
+  this.ui.detectionSignature = signature;
+
+  panel.hidden = groups.length === 0;
+  const enabledCount = groups.filter(group => group.enabled).length;
+  const summary = document.getElementById('detectionSummary');
+  if (summary) summary.textContent = `Auto-redacted ${enabledCount} of ${groups.length}`;
+
+  list.replaceChildren(...groups.map(group => {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = group.enabled;
+    checkbox.addEventListener('change', () => this.setDetectionEnabled(group.id, checkbox.checked));
+
+    const kind = document.createElement('span');
+    kind.className = 'detection-kind';
+    kind.textContent = group.label;
+    const preview = document.createElement('span');
+    preview.className = 'detection-preview';
+    preview.textContent = group.preview;
+
+    label.append(checkbox, kind, preview);
+    item.appendChild(label);
+    return item;
+  }));
+}
+
+/**
+ * Wires the collapse button of the review panel.
+ */
+export function initializeDetectionPanel() {
+  const panel = document.getElementById('detectionPanel');
+  const toggle = document.getElementById('detectionPanelToggle');
+  if (!panel || !toggle) {
+    console.warn('Detection review panel not found.');
+    return;
+  }
+  toggle.addEventListener('click', (event) => {
+    event.stopPropagation();
+    const collapsed = panel.classList.toggle('collapsed');
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+    toggle.title = collapsed ? 'Show detected items' : 'Hide detected items';
+  });
+}
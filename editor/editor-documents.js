@@ -0,0 +1,214 @@
+import { DRAWING_TOOLS } from './editor-tools.js';
+
+/**
+ * Several captures in one editor tab (editorTabs setting), shown as a tab strip
+ * above the canvas. The active document lives in the editor's fields; the
+ * others are kept as snapshots of their base image, elements and undo history.
+ */
+
+/**
+ * Puts the editor back to an empty document: no tools, elements, selection or history.
+ */
+export function resetDocumentState() {
+  if (this.textEditor) this.commitTextEditing();
+  this.state.cropOnlyMode = false;
+  this.showEditorTools();
+  DRAWING_TOOLS.forEach(tool => {
+    if (this.isToolActive(tool)) this.toggleTool(tool);
+  });
+  this.clearDrawingState();
+
+  // A new object, the previous one may still belong to a background document
+  this.history = { undoStack: [], redoStack: [] };
+  this.updateHistoryButtons();
+  this.elements.annotationElements = [];
+  this.selection.elementId = null;
+  this.selection.drag = null;
+  this.ui.detectionSignature = null;
+  clearTimeout(this.gallerySync.timeout);
+  this.gallerySync.pending = false;
+}
+
+/**
+ * Adds the loaded capture to the tab strip as the active document, followed by
+ * the other parts of a capture that was split (see loadCaptureImage).
+ * @param {object} [replace] - Document entry the capture takes the place of.
+ */
+export function registerDocument(replace = null) {
+  const { list } = this.documents;
+  const parts = (this.documents.pendingParts || []).map(state => ({ id: crypto.randomUUID(), state }));
+  this.documents.pendingParts = null;
+
+  if (replace) {
+    replace.state = null;
+    this.documents.activeId = replace.id;
+  } else {
+    const id = crypto.randomUUID();
+    list.push({ id, state: null });
+    this.documents.activeId = id;
+  }
+  const index = list.findIndex(entry => entry.id === this.documents.activeId);
+  list.splice(index + 1, 0, ...parts);
+  this.renderDocumentTabs();
+}
+
+/**
+ * Moves the active document into a snapshot so another one can be shown.
+ */
+export function stashActiveDocument() {
+  const active = this.documents.list.find(entry => entry.id === this.documents.activeId);
+  if (!active || !this.canvasState.originalImage) return;
+  if (this.textEditor) this.commitTextEditing();
+  active.state = {
+    captureInfo: this.captureInfo,
+    image: this.canvasState.originalImage,
+    elements: this.cloneElements(this.elements.annotationElements),
+    history: this.history
+  };
+}
+
+/**
+ * Shows another document of the tab strip.
+ * @param {string} id - Document ID.
+ */
+export async function activateDocument(id) {
+  const target = this.documents.list.find(entry => entry.id === id);
+  if (!target || !target.state || id === this.documents.activeId) return;
+
+  // Store pending edits of the document being hidden while its state is still shown
+  if (this.gallerySync.pending) await this.syncGalleryEntry();
+  this.stashActiveDocument();
+  this.resetDocumentState();
+
+  const { captureInfo, image, elements, history } = target.state;
+  target.state = null;
+  this.documents.activeId = id;
+  this.captureInfo = captureInfo;
+  this.history = history;
+  this.applyBaseState({ image, elements });
+  this.updateHistoryButtons();
+  this.fitCanvasToContainer();
+  this.updateCanvasRect();
+  this.canvas.style.cursor = 'default';
+  this.renderDocumentTabs();
+}
+
+/**
+ * Closes a document of the tab strip. The last document cannot be closed.
+ * @param {string} id - Document ID.
+ */
+export async function closeDocument(id) {
+  const { list } = this.documents;
+  const index = list.findIndex(entry => entry.id === id);
+  if (index === -1 || list.length < 2) return;
+
+  const isActive = id === this.documents.activeId;
+  const state = isActive ? { captureInfo: this.captureInfo, history: this.history } : list[index].state;
+  const unsaved = state.history.undoStack.length > 0 && !state.captureInfo?.inHistory;
+  if (unsaved && !window.confirm('Close this capture? Its edits are not kept in the history.')) return;
+
+  if (isActive) {
+    await this.activateDocument(list[index + 1]?.id || list[index - 1].id);
+  }
+  list.splice(list.findIndex(entry => entry.id === id), 1);
+  this.renderDocumentTabs();
+}
+
+/**
+ * Opens a capture sent by the background to this tab.
+ * @param {string} captureId - Capture to open.
+ * @param {'reuse' | 'documents'} mode - Replace the active document or add one.
+ */
+export async function receiveCapture(captureId, mode) {
+  const previous = this.canvasState.originalImage
+    ? this.documents.list.find(entry => entry.id === this.documents.activeId)
+    : null;
+  try {
+    // Keep the edits of the capture being replaced or hidden
+    if (this.gallerySync.pending) await this.syncGalleryEntry();
+    if (previous) this.stashActiveDocument();
+    this.resetDocumentState();
+    await this.openCapture(captureId);
+    // In reuse mode the new capture takes the place of the previous one
+    this.registerDocument(previous && mode !== 'documents' ? previous : null);
+  } catch (error) {
+    this.documents.pendingParts = null;
+    console.error('Failed to open capture in this tab:', error);
+    this.showToast(`Failed to open the capture: ${error.message}`, false, 'error');
+    if (previous) {
+      this.documents.activeId = null;
+      await this.activateDocument(previous.id);
+    }
+  }
+}
+
+/**
+ * Title of a document in the tab strip.
+ */
+function getDocumentTitle(captureInfo, index) {
+  return captureInfo?.title || `Capture ${index + 1}`;
+}
+
+/**
+ * Shows the tab strip when more than one document is open.
+ */
+export function renderDocumentTabs() {
+  const container = document.getElementById('documentTabs');
+  if (!container) return;
+  const { list, activeId } = this.documents;
+  const visible = list.length > 1;
+
+  container.replaceChildren(...list.map((entry, index) => {
+    const captureInfo = entry.id === activeId ? this.captureInfo : entry.state?.captureInfo;
+    const tab = document.createElement('div');
+    tab.className = 'document-tab';
+    tab.dataset.documentId = entry.id;
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-selected', String(entry.id === activeId));
+    tab.title = captureInfo?.url || '';
+
+    const label = document.createElement('button');
+    label.type = 'button';
+    label.className = 'document-tab-label';
+    label.textContent = getDocumentTitle(captureInfo, index);
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'document-tab-close';
+    close.dataset.closeDocument = entry.id;
+    close.setAttribute('aria-label', 'Close');
+    close.textContent = '×';
+
+    tab.append(label, close);
+    return tab;
+  }));
+
+  if (container.hidden === visible) {
+    container.hidden = !visible;
+    document.body.classList.toggle('has-document-tabs', visible);
+    if (this.canvasState.originalImage) this.fitCanvasToContainer();
+    this.updateCanvasRect();
+  }
+}
+
+/**
+ * Wires the tab strip and accepts captures sent by the background (see sendToEditorTab in background.js).
+ */
+export function initializeDocuments() {
+  document.getElementById('documentTabs')?.addEventListener('click', (event) => {
+    const close = event.target.closest('[data-close-document]');
+    const tab = event.target.closest('.document-tab');
+    if (close) {
+      this.closeDocument(close.dataset.closeDocument);
+    } else if (tab) {
+      this.activateDocument(tab.dataset.documentId);
+    }
+  });
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.type !== 'snipscreen-open-capture') return false;
+    sendResponse({ accepted: true });
+    this.receiveCapture(message.captureId, message.mode);
+    return false;
+  });
+}
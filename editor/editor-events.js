@@ -1,6 +1,13 @@
 // Import the throttle utility
 import { throttle } from './editor-utils.js';
 
+// Single-key tool shortcuts (without modifiers)
+const TOOL_HOTKEYS = {
+  c: 'crop',
+  b: 'annotate', // Blackout
+  v: 'select'
+};
+
 /**
  * Sets up the primary event listeners for the canvas.
  */
@@ -14,12 +21,18 @@ export function setupEventListeners() {
   this.boundHandleMouseMove = this.handleMouseMove.bind(this);
   this.boundHandleMouseUp = this.handleMouseUp.bind(this);
   this.boundHandleMouseLeave = this.handleMouseLeave.bind(this);
+  this.boundHandleKeyDown = this.handleKeyDown.bind(this);
+  this.boundHandleDoubleClick = this.handleCanvasDoubleClick.bind(this);
 
   // Canvas Listeners
   this.canvas.addEventListener('mousedown', this.boundHandleMouseDown);
   this.canvas.addEventListener('mousemove', this.boundHandleMouseMove);
   this.canvas.addEventListener('mouseup', this.boundHandleMouseUp);
   this.canvas.addEventListener('mouseleave', this.boundHandleMouseLeave);
+  this.canvas.addEventListener('dblclick', this.boundHandleDoubleClick);
+
+  // Document Listeners
+  document.addEventListener('keydown', this.boundHandleKeyDown);
 }
 
 /**
@@ -32,7 +45,95 @@ export function removeEditorEventListeners() {
     this.canvas.removeEventListener('mousemove', this.boundHandleMouseMove);
     this.canvas.removeEventListener('mouseup', this.boundHandleMouseUp);
     this.canvas.removeEventListener('mouseleave', this.boundHandleMouseLeave);
+    this.canvas.removeEventListener('dblclick', this.boundHandleDoubleClick);
   }
+  document.removeEventListener('keydown', this.boundHandleKeyDown);
+}
+
+/**
+ * Handles editor keyboard shortcuts (tools, undo/redo, copy/save, selection editing).
+ * The full list is shown by the shortcuts overlay (?).
+ */
+export function handleKeyDown(e) {
+  // Leave typing in form fields alone
+  const target = e.target;
+  if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+  // Modal dialogs (export, shortcuts) handle their own keys
+  if (document.querySelector('dialog[open]')) return;
+
+  const key = e.key.toLowerCase();
+  const command = e.ctrlKey || e.metaKey;
+  if (command && key === 'z') {
+    e.preventDefault();
+    if (e.shiftKey) this.redo();
+    else this.undo();
+  } else if (command && key === 'y') {
+    e.preventDefault();
+    this.redo();
+  } else if (command && key === 'c' && !window.getSelection()?.toString()) {
+    // Selected page text (e.g. in the detection panel) keeps the native copy
+    e.preventDefault();
+    this.clickToolButton('shareTool');
+  } else if (command && key === 's') {
+    e.preventDefault();
+    this.clickToolButton('saveTool');
+  } else if (e.key === 'Escape' && this.cancelCurrentDrag()) {
+    e.preventDefault();
+  } else if (e.key === 'Enter' && this.getPendingCrop()) {
+    e.preventDefault();
+    this.completeCrop();
+  } else if (e.key === '?') {
+    e.preventDefault();
+    this.toggleShortcutsOverlay();
+  } else if (TOOL_HOTKEYS[key] && !command && !e.altKey && !e.repeat) {
+    e.preventDefault();
+    if (!this.state.isDrawing) this.toggleTool(TOOL_HOTKEYS[key]);
+  } else if (this.isToolActive('select') && this.handleSelectionKeyDown(e)) {
+    e.preventDefault();
+  }
+}
+
+/**
+ * Runs a toolbar action (copy, save, ...) as if its button was clicked,
+ * unless the button is hidden (crop-only mode, failed load) or disabled.
+ * @param {string} id - Button ID.
+ */
+export function clickToolButton(id) {
+  const button = document.getElementById(id);
+  if (!button || button.disabled || button.style.display === 'none') return;
+  button.click();
+}
+
+/**
+ * Cancels the drag in progress: a crop selection, a new annotation or stroke,
+ * or moving/resizing the selected annotation (which goes back to where it was).
+ * Also discards a crop area waiting to be applied.
+ * @returns {boolean} True if there was something to cancel.
+ */
+export function cancelCurrentDrag() {
+  if (this.getPendingCrop()) {
+    this.resetCropState();
+    this.showToast("Crop cancelled.", false, 'info');
+    return true;
+  }
+  if (!this.state.isDrawing) return false;
+  this.state.isDrawing = false;
+
+  const drag = this.selection.drag;
+  if (drag) {
+    this.selection.drag = null;
+    const element = this.getSelectedElement();
+    if (element) Object.assign(element, structuredClone(drag.startElement));
+    this.redrawCanvas();
+  } else if (this.drawingState.cropStart) {
+    this.resetCropState();
+  } else {
+    this.drawingState.annotateStart = null;
+    this.drawingState.stroke = null;
+    this.restoreCanvasState();
+  }
+  this.showToast("Cancelled.", false, 'info');
+  return true;
 }
 
 /**
@@ -65,11 +166,20 @@ export function handleMouseDown(e) {
 
   const pos = this.getMousePos(e);
 
+  // preventDefault keeps the text box focused, so finish any text edit explicitly
+  if (this.textEditor) this.commitTextEditing();
+
   // Reset interaction states
   this.state.isDrawing = false;
 
   // Check for starting drawing actions (if tool active)
   if (this.isToolActive('crop')) {
+    // Clicks inside a pending crop area keep it, so it can be double-clicked to apply
+    const pending = this.getPendingCrop();
+    if (pending && pos.x >= pending.x && pos.x <= pending.x + pending.width &&
+        pos.y >= pending.y && pos.y <= pending.y + pending.height) {
+      return;
+    }
     this.state.isDrawing = true;
     this.drawingState.cropStart = pos;
     this.drawingState.cropEnd = pos;
@@ -86,6 +196,37 @@ export function handleMouseDown(e) {
     return;
   }
 
+  if (this.isToolActive('select')) {
+    this.handleSelectMouseDown(pos);
+    return;
+  }
+
+  if (this.isToolActive('text')) {
+    // Clicking an existing text re-edits it, anywhere else places a new one
+    this.beginTextEditing(pos, this.findTextElementAt(pos));
+    return;
+  }
+
+  if (this.isToolActive('step')) {
+    this.addStepElement(pos);
+    return;
+  }
+
+  if (this.getActiveShapeTool()) {
+    this.state.isDrawing = true;
+    this.drawingState.annotateStart = pos;
+    this.saveCanvasState();
+    return;
+  }
+
+  if (this.getActiveFreehandTool()) {
+    this.state.isDrawing = true;
+    this.drawingState.stroke = this.createStrokeElement(this.getActiveFreehandTool(), pos);
+    this.saveCanvasState();
+    this.drawAnnotation(this.ctx, this.drawingState.stroke);
+    return;
+  }
+
   // If none of the above conditions met
   this.state.isDrawing = false;
 }
@@ -99,10 +240,18 @@ export function handleMouseMove(e) {
   // Update cursor based on active tools
   if (!this.state.isDrawing && this.state.activeTools.size > 0) {
     let cursor = 'default';
-    if (this.isToolActive('crop') || this.isToolActive('annotate')) cursor = 'crosshair';
+    if (this.isToolActive('crop') || this.isToolActive('annotate') || this.getActiveShapeTool() || this.getActiveFreehandTool()) cursor = 'crosshair';
+    if (this.isToolActive('text')) cursor = 'text';
+    if (this.isToolActive('step')) cursor = 'copy';
     if (this.canvas) this.canvas.style.cursor = cursor;
   }
 
+  // Select tool handles its own hover feedback and dragging
+  if (this.isToolActive('select')) {
+    this.handleSelectMouseMove(pos);
+    return;
+  }
+
   // Handle tool drawing previews
   if (!this.state.isDrawing) return;
 
@@ -121,11 +270,31 @@ export function handleMouseMove(e) {
       const width = Math.abs(pos.x - this.drawingState.annotateStart.x);
       const height = Math.abs(pos.y - this.drawingState.annotateStart.y);
       if (width > 0 && height > 0) {
-        this.ctx.fillStyle = '#000000';
-        this.ctx.fillRect(startX, startY, width, height);
+        this.drawAnnotation(this.ctx, this.createRedactionElement(startX, startY, width, height));
       }
     });
   }
+  // 3. Shape Preview (lines, arrows, rectangles, ellipses)
+  else if (this.getActiveShapeTool() && this.drawingState.annotateStart) {
+    const shiftKey = e.shiftKey;
+    requestAnimationFrame(() => {
+      const tool = this.getActiveShapeTool();
+      if (!this.state.isDrawing || !tool || !this.drawingState.annotateStart) return;
+      this.restoreCanvasState();
+      const draft = this.createDraftElement(tool, this.drawingState.annotateStart, pos, { shiftKey });
+      if (draft && draft.type === 'spotlight') this.drawSpotlightPreview(this.ctx, draft);
+      else if (draft) this.drawAnnotation(this.ctx, draft);
+    });
+  }
+  // 4. Freehand Preview (pen, highlighter), redrawn whole so highlighter overlaps don't stack
+  else if (this.drawingState.stroke) {
+    if (!this.appendStrokePoint(this.drawingState.stroke, pos)) return;
+    requestAnimationFrame(() => {
+      if (!this.state.isDrawing || !this.drawingState.stroke) return;
+      this.restoreCanvasState();
+      this.drawAnnotation(this.ctx, this.drawingState.stroke);
+    });
+  }
 }
 
 /**
@@ -134,6 +303,17 @@ export function handleMouseMove(e) {
 export function handleMouseUp(e) {
   if (e.button !== 0) return;
 
+  if (this.isToolActive('select')) {
+    this.finishSelectionDrag();
+    return;
+  }
+
+  if (this.drawingState.stroke) {
+    this.appendStrokePoint(this.drawingState.stroke, this.getMousePos(e));
+    this.finishStroke();
+    return;
+  }
+
   const wasDrawingTool = this.state.isDrawing;
 
   // Finalize tool drawing
@@ -144,23 +324,29 @@ export function handleMouseUp(e) {
     let activeToolName = null;
     if (this.isToolActive('crop') && this.drawingState.cropStart) activeToolName = 'crop';
     else if (this.isToolActive('annotate') && this.drawingState.annotateStart) activeToolName = 'annotate';
+    else if (this.getActiveShapeTool() && this.drawingState.annotateStart) activeToolName = this.getActiveShapeTool();
 
     // Finalize based on the active tool
     if (activeToolName === 'crop') {
+      // Keep the area until it is applied (Enter, double-click) or discarded (Esc)
       this.drawingState.cropEnd = pos;
-      this.completeCrop();
+      const crop = this.getPendingCrop();
+      if (crop.width > 1 && crop.height > 1) {
+        this.redrawCanvas();
+        this.showToast("Press Enter or double-click the area to crop, Esc to cancel.", false, 'info');
+      } else {
+        this.resetCropState();
+      }
     } else if (activeToolName === 'annotate') {
       const startX = Math.min(this.drawingState.annotateStart.x, pos.x);
       const startY = Math.min(this.drawingState.annotateStart.y, pos.y);
       const width = Math.abs(pos.x - this.drawingState.annotateStart.x);
       const height = Math.abs(pos.y - this.drawingState.annotateStart.y);
       if (width > 1 && height > 1) {
-        const newAnnotation = { 
-          type: 'rect', 
-          id: `anno-${Date.now()}`, 
-          x: startX, y: startY, width: width, height: height, color: '#000000' 
-        };
+        const elementsBefore = this.cloneElements(this.elements.annotationElements);
+        const newAnnotation = this.createRedactionElement(startX, startY, width, height);
         this.elements.annotationElements.push(newAnnotation);
+        this.recordElementsChange('Add blackout', elementsBefore);
         this.redrawCanvas();
         this.showToast("Annotation added", false, 'success');
       } else {
@@ -168,6 +354,19 @@ export function handleMouseUp(e) {
       }
       this.drawingState.annotateStart = null;
       if (this.isToolActive('annotate') && this.canvas) this.canvas.style.cursor = 'crosshair';
+    } else if (activeToolName) {
+      const draft = this.createDraftElement(activeToolName, this.drawingState.annotateStart, pos, { shiftKey: e.shiftKey });
+      if (draft) {
+        const elementsBefore = this.cloneElements(this.elements.annotationElements);
+        this.elements.annotationElements.push(draft);
+        this.recordElementsChange(draft.type === 'shape' ? 'Add shape' : `Add ${activeToolName}`, elementsBefore);
+        if (draft.type === 'magnifier') this.showToast(`Magnified ${draft.zoom}×. Use the select tool to move the inset.`, false, 'success');
+        this.redrawCanvas();
+      } else {
+        this.restoreCanvasState();
+      }
+      this.drawingState.annotateStart = null;
+      if (this.canvas) this.canvas.style.cursor = 'crosshair';
     }
 
     // General cleanup & cursor reset
@@ -181,11 +380,25 @@ export function handleMouseUp(e) {
  * Handles the mouse leave event on the canvas.
  */
 export function handleMouseLeave(e) {
+  // Keep a move/resize that ends outside the canvas
+  if (this.selection.drag) {
+    this.finishSelectionDrag();
+    return;
+  }
+
+  // Keep a freehand stroke drawn up to the canvas edge
+  if (this.drawingState.stroke) {
+    this.appendStrokePoint(this.drawingState.stroke, this.getMousePos(e));
+    this.finishStroke();
+    return;
+  }
+
   // Cancel tool drawing
   if (this.state.isDrawing) {
     console.log("Mouse left canvas during drawing, cancelling operation.");
     const toolWasCrop = this.isToolActive('crop');
     const toolWasAnnotate = this.isToolActive('annotate');
+    const shapeTool = this.getActiveShapeTool();
     this.state.isDrawing = false;
 
     let cursor = 'default';
@@ -201,6 +414,12 @@ export function handleMouseLeave(e) {
       this.showToast("Annotation cancelled (mouse left canvas).", false, 'info');
       if (this.isToolActive('annotate')) cursor = 'crosshair';
     }
+    if (shapeTool) {
+      this.restoreCanvasState();
+      this.drawingState.annotateStart = null;
+      this.showToast("Drawing cancelled (mouse left canvas).", false, 'info');
+      cursor = 'crosshair';
+    }
 
     if (this.canvas) {
       this.canvas.style.cursor = cursor;
@@ -208,6 +427,21 @@ export function handleMouseLeave(e) {
   }
 }
 
+/**
+ * Adds the stroke being drawn to the annotations and records it in the history.
+ */
+export function finishStroke() {
+  const stroke = this.drawingState.stroke;
+  this.drawingState.stroke = null;
+  this.state.isDrawing = false;
+  if (!stroke) return;
+
+  const elementsBefore = this.cloneElements(this.elements.annotationElements);
+  this.elements.annotationElements.push(stroke);
+  this.recordElementsChange(stroke.highlighter ? 'Add highlight' : 'Add pen stroke', elementsBefore);
+  this.redrawCanvas();
+}
+
 // Throttled draw crop guides
 export const throttledDrawCropGuides = throttle(function(startPos, endPos) {
   if (!this.state.isDrawing || !this.drawingState.cropStart || !this.isToolActive('crop')) return;
@@ -0,0 +1,338 @@
+import { loadSettings } from '../shared/settings.js';
+
+/**
+ * Image formats offered for export.
+ */
+export const EXPORT_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png', lossy: false },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', lossy: true },
+  webp: { mimeType: 'image/webp', extension: 'webp', lossy: true }
+};
+
+const DEFAULT_EXPORT_OPTIONS = {
+  format: 'png',
+  quality: 0.92,
+  scale: 'device',
+  maxBytes: null,
+  optimize: false,
+  maxColors: 256,
+  dithering: 0
+};
+
+// Lowest quality the size target may go down to
+const MIN_QUALITY = 0.1;
+// Binary search steps when fitting a size target (quality resolution of ~1%)
+const SIZE_SEARCH_STEPS = 7;
+// Wait for the user to stop dragging the quality slider before re-encoding
+const ESTIMATE_DELAY = 300;
+
+/**
+ * Returns the resize factor for a scale preset.
+ * 'css' undoes the device pixel ratio and page zoom of the capture, so one
+ * image pixel matches one CSS pixel of the page.
+ * @param {'device' | 'half' | 'css'} preset
+ * @returns {number} Factor between 0 and 1.
+ */
+export function getExportScale(preset) {
+  if (preset === 'half') return 0.5;
+  if (preset === 'css') {
+    const zoom = this.captureInfo?.zoom || 1;
+    const ratio = (window.devicePixelRatio || 1) * zoom;
+    return Math.min(1, 1 / ratio);
+  }
+  return 1;
+}
+
+/**
+ * Renders the final image (annotations included) at a given scale.
+ * @param {number} scale - Resize factor, 1 for device pixels.
+ * @returns {HTMLCanvasElement}
+ */
+export function renderExportCanvas(scale = 1) {
+  const finalCanvas = this.prepareFinalCanvas();
+  if (scale === 1) return finalCanvas;
+
+  const scaled = document.createElement('canvas');
+  scaled.width = Math.max(1, Math.round(finalCanvas.width * scale));
+  scaled.height = Math.max(1, Math.round(finalCanvas.height * scale));
+  const ctx = scaled.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(finalCanvas, 0, 0, scaled.width, scaled.height);
+  return scaled;
+}
+
+/**
+ * Encodes a canvas into an image Blob.
+ * @param {HTMLCanvasElement} canvas - The rendered image.
+ * @param {keyof EXPORT_FORMATS} format - Target format.
+ * @param {number} quality - 0..1, ignored for PNG.
+ * @returns {Promise<Blob>}
+ */
+export function encodeCanvas(canvas, format, quality) {
+  const { mimeType, lossy } = EXPORT_FORMATS[format] || EXPORT_FORMATS.png;
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => blob ? resolve(blob) : reject(new Error('Canvas toBlob failed.')),
+      mimeType,
+      lossy ? quality : 1.0
+    );
+  });
+}
+
+/**
+ * Quantizes a canvas to a palette and encodes it as an indexed PNG in a worker.
+ * @param {HTMLCanvasElement} canvas - The rendered image.
+ * @param {{maxColors: number, dithering: number}} options - Palette size (2..256) and dithering strength (0..1).
+ * @returns {Promise<{blob: Blob, colors: number}>}
+ */
+export function optimizePng(canvas, { maxColors, dithering }) {
+  const optimizer = this.pngOptimizer;
+  if (!optimizer.worker) {
+    optimizer.worker = new Worker(new URL('../shared/indexed-png-worker.js', import.meta.url), { type: 'module' });
+    optimizer.worker.onmessage = ({ data }) => {
+      const job = optimizer.jobs.get(data.id);
+      if (!job) return;
+      optimizer.jobs.delete(data.id);
+      if (data.error) job.reject(new Error(data.error));
+      else job.resolve({ blob: new Blob([data.bytes], { type: 'image/png' }), colors: data.colors });
+    };
+    optimizer.worker.onerror = (event) => {
+      console.error('PNG optimizer worker failed:', event.message);
+      optimizer.jobs.forEach(job => job.reject(new Error(event.message || 'PNG optimizer failed')));
+      optimizer.jobs.clear();
+      optimizer.worker.terminate();
+      optimizer.worker = null;
+    };
+  }
+
+  const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  const id = ++optimizer.nextId;
+  return new Promise((resolve, reject) => {
+    optimizer.jobs.set(id, { resolve, reject });
+    optimizer.worker.postMessage({ id, width, height, pixels: data, maxColors, dithering }, [data.buffer]);
+  });
+}
+
+/**
+ * Produces the exported image for a set of export options.
+ * With a size target (lossy formats only) the quality is lowered by binary
+ * search until the file fits, keeping the highest quality that does.
+ * Optimized PNGs are palette-quantized; originalSize then holds the truecolor size.
+ * @param {{format: string, quality: number, scale: string, maxBytes: number | null,
+ *   optimize: boolean, maxColors: number, dithering: number}} options
+ * @returns {Promise<{blob: Blob, width: number, height: number, quality: number, fits: boolean,
+ *   originalSize?: number, colors?: number}>}
+ */
+export async function encodeExport({ format, quality, scale, maxBytes, optimize, maxColors = 256, dithering = 0 }) {
+  const canvas = this.renderExportCanvas(this.getExportScale(scale));
+  const result = { width: canvas.width, height: canvas.height, quality, fits: true };
+
+  let blob = await this.encodeCanvas(canvas, format, quality);
+  if (format === 'png' && optimize) {
+    const optimized = await this.optimizePng(canvas, { maxColors, dithering });
+    // Photos can come out larger with a palette; keep whichever file is smaller
+    if (optimized.blob.size < blob.size) {
+      return { ...result, blob: optimized.blob, originalSize: blob.size, colors: optimized.colors };
+    }
+    return { ...result, blob, originalSize: blob.size };
+  }
+  if (!maxBytes || !EXPORT_FORMATS[format]?.lossy || blob.size <= maxBytes) {
+    return { ...result, blob };
+  }
+
+  let low = MIN_QUALITY;
+  let high = quality;
+  let best = null;
+  for (let step = 0; step < SIZE_SEARCH_STEPS; step++) {
+    const mid = (low + high) / 2;
+    const candidate = await this.encodeCanvas(canvas, format, mid);
+    if (candidate.size <= maxBytes) {
+      best = { blob: candidate, quality: mid };
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  if (!best) {
+    const smallest = await this.encodeCanvas(canvas, format, MIN_QUALITY);
+    if (smallest.size <= maxBytes) best = { blob: smallest, quality: MIN_QUALITY };
+    else return { ...result, blob: smallest, quality: MIN_QUALITY, fits: false };
+  }
+  return { ...result, blob: best.blob, quality: best.quality };
+}
+
+/**
+ * Export options from the settings, used until the dialog changes them.
+ * @returns {Promise<{format: string, quality: number, scale: string, maxBytes: number | null}>}
+ */
+export async function getDefaultExportOptions() {
+  try {
+    const { exportFormat, exportQuality, optimizePng } = await loadSettings();
+    return { ...DEFAULT_EXPORT_OPTIONS, format: exportFormat, quality: exportQuality, optimize: optimizePng };
+  } catch (error) {
+    console.warn('Failed to load export settings, using PNG:', error);
+    return { ...DEFAULT_EXPORT_OPTIONS };
+  }
+}
+
+/**
+ * Wires the export dialog controls.
+ */
+export function initializeExportDialog() {
+  const dialog = document.getElementById('exportDialog');
+  const form = document.getElementById('exportForm');
+  if (!dialog || !form) {
+    console.warn('Export dialog not found.');
+    return;
+  }
+
+  form.addEventListener('input', () => {
+    this.exportOptions = this.readExportForm();
+    this.updateExportForm();
+    this.scheduleExportEstimate();
+  });
+
+  form.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-export-action]');
+    if (!button) return;
+    const action = button.dataset.exportAction;
+    this.closeExportDialog();
+    if (action === 'save') await this.saveImage(this.exportOptions);
+    else if (action === 'copy') await this.copyToClipboard(this.exportOptions);
+  });
+
+  // Enter in the size field would submit and silently close the dialog
+  form.addEventListener('submit', (event) => event.preventDefault());
+
+  dialog.addEventListener('close', () => {
+    clearTimeout(this.ui.exportEstimateTimeout);
+    this.ui.exportEstimateToken++; // Drop estimates still encoding
+  });
+}
+
+/**
+ * Opens the export dialog with the last used (or default) options.
+ */
+export async function openExportDialog() {
+  const dialog = document.getElementById('exportDialog');
+  if (!dialog || dialog.open) return;
+  if (!this.canvas || this.canvas.width === 0 || this.canvas.height === 0) {
+    this.showToast("Cannot export empty image.", false, 'error');
+    return;
+  }
+  if ((this.state.isDrawing && this.isToolActive('crop')) || this.getPendingCrop()) {
+    this.showToast("Finalize cropping before exporting.", false, 'warning');
+    return;
+  }
+  if (this.textEditor) this.commitTextEditing();
+
+  if (!this.exportOptions) this.exportOptions = await this.getDefaultExportOptions();
+  this.fillExportForm(this.exportOptions);
+  this.updateExportForm();
+  dialog.showModal();
+  this.scheduleExportEstimate(0);
+}
+
+/**
+ * Closes the export dialog.
+ */
+export function closeExportDialog() {
+  const dialog = document.getElementById('exportDialog');
+  if (dialog && dialog.open) dialog.close();
+}
+
+/**
+ * Shows export options in the dialog form.
+ */
+export function fillExportForm(options) {
+  const form = document.getElementById('exportForm');
+  form.elements.exportFormat.value = options.format;
+  form.elements.exportQuality.value = String(options.quality);
+  form.elements.exportScale.value = options.scale;
+  form.elements.exportLimitSize.checked = !!options.maxBytes;
+  form.elements.exportMaxSize.value = String(options.maxBytes ? +(options.maxBytes / (1024 * 1024)).toFixed(2) : 1);
+  form.elements.exportOptimize.checked = !!options.optimize;
+  form.elements.exportColors.value = String(options.maxColors);
+  form.elements.exportDithering.value = String(options.dithering);
+}
+
+/**
+ * Reads export options from the dialog form.
+ * @returns {{format: string, quality: number, scale: string, maxBytes: number | null}}
+ */
+export function readExportForm() {
+  const form = document.getElementById('exportForm');
+  const maxSize = Number(form.elements.exportMaxSize.value);
+  return {
+    format: form.elements.exportFormat.value || 'png',
+    quality: Number(form.elements.exportQuality.value) || 0.92,
+    scale: form.elements.exportScale.value || 'device',
+    maxBytes: form.elements.exportLimitSize.checked && maxSize > 0 ? Math.round(maxSize * 1024 * 1024) : null,
+    optimize: form.elements.exportOptimize.checked,
+    maxColors: Math.min(256, Math.max(2, Math.round(Number(form.elements.exportColors.value) || 256))),
+    dithering: Number(form.elements.exportDithering.value) || 0
+  };
+}
+
+/**
+ * Updates the parts of the dialog that depend on the chosen options.
+ */
+export function updateExportForm() {
+  const form = document.getElementById('exportForm');
+  const { format, quality, optimize, dithering } = this.exportOptions;
+  const lossy = EXPORT_FORMATS[format]?.lossy;
+
+  form.querySelectorAll('[data-lossy-only]').forEach(field => { field.hidden = !lossy; });
+  form.querySelectorAll('[data-png-only]').forEach(field => { field.hidden = format !== 'png'; });
+  form.elements.exportMaxSize.disabled = !form.elements.exportLimitSize.checked;
+  form.elements.exportColors.disabled = !optimize;
+  form.elements.exportDithering.disabled = !optimize;
+  document.getElementById('exportQualityValue').textContent = `${Math.round(quality * 100)}%`;
+  document.getElementById('exportDitheringValue').textContent = dithering ? `${Math.round(dithering * 100)}%` : 'Off';
+  document.getElementById('exportClipboardHint').hidden = format === 'png';
+
+  form.querySelectorAll('.export-dimensions').forEach(label => {
+    const scale = this.getExportScale(label.dataset.scale);
+    label.textContent = `${Math.max(1, Math.round(this.canvas.width * scale))} × ${Math.max(1, Math.round(this.canvas.height * scale))}`;
+  });
+}
+
+/**
+ * Re-encodes the image in the background to show its file size.
+ * @param {number} [delay] - Debounce delay in ms.
+ */
+export function scheduleExportEstimate(delay = ESTIMATE_DELAY) {
+  clearTimeout(this.ui.exportEstimateTimeout);
+  const estimate = document.getElementById('exportEstimate');
+  estimate.textContent = 'Estimating file size...';
+  estimate.classList.remove('warning');
+
+  const token = ++this.ui.exportEstimateToken;
+  this.ui.exportEstimateTimeout = setTimeout(async () => {
+    try {
+      const result = await this.encodeExport(this.exportOptions);
+      if (token !== this.ui.exportEstimateToken) return; // Options changed meanwhile
+
+      let text = `Estimated size: ${this.formatFileSize(result.blob.size)}`;
+      if (result.originalSize) {
+        // Before/after readout for palette optimization
+        const saved = Math.round((1 - result.blob.size / result.originalSize) * 100);
+        text = result.colors
+          ? `Estimated size: ${this.formatFileSize(result.originalSize)} → ${this.formatFileSize(result.blob.size)} (−${saved}%, ${result.colors} colors)`
+          : `${text} (optimizing would not make this image smaller)`;
+      }
+      if (this.exportOptions.maxBytes && EXPORT_FORMATS[this.exportOptions.format].lossy) {
+        text += result.fits
+          ? ` at ${Math.round(result.quality * 100)}% quality`
+          : ` (target not reachable, try a smaller size)`;
+      }
+      estimate.textContent = text;
+      estimate.classList.toggle('warning', !result.fits);
+    } catch (error) {
+      if (token !== this.ui.exportEstimateToken) return;
+      console.error('Export size estimate failed:', error);
+      estimate.textContent = 'Could not estimate the file size.';
+    }
+  }, delay);
+}
@@ -0,0 +1,133 @@
+import { createThumbnail, getCapture, saveCaptureEdits } from '../shared/capture-store.js';
+
+/**
+ * Keeps the capture's entry on the history page in sync with the edits, and
+ * reopens history entries (editor.html?capture=<id>) with their annotations.
+ */
+
+// Edits are stored after a short pause; encoding the image on every change would be too slow
+const GALLERY_SYNC_DELAY = 1500;
+
+/**
+ * The history entry the editor was opened for, from the page URL.
+ * @returns {string|null}
+ */
+export function getRequestedCaptureId() {
+  return new URLSearchParams(window.location.search).get('capture');
+}
+
+/**
+ * Loads a capture from the history, including its annotations and crop history.
+ * @param {string} id - Capture ID.
+ */
+export async function openGalleryCapture(id) {
+  const capture = await getCapture(id);
+  if (!capture) throw new Error('The capture is no longer available.');
+
+  if (capture.project) {
+    await this.loadProject(capture.project);
+    this.captureInfo = { ...this.captureInfo, captureId: id, inHistory: true };
+  } else {
+    // Never edited: open the capture like a fresh one (oversized captures are split into parts)
+    await this.loadCaptureImage(capture.image, {
+      title: capture.title,
+      url: capture.url,
+      date: capture.createdAt,
+      captureId: id,
+      inHistory: true
+    });
+  }
+}
+
+/**
+ * Remembers the encoded form of an image source, so syncing does not encode it again.
+ * @param {CanvasImageSource} image
+ * @param {Promise<Blob>|Blob} blob
+ */
+export function rememberImageBlob(image, blob) {
+  this.gallerySync.blobs.set(image, Promise.resolve(blob));
+}
+
+/**
+ * Encodes an image source as a PNG Blob, once per image.
+ * Base images are immutable (crops create new ones), so the cache never goes stale.
+ * @param {CanvasImageSource} image
+ * @returns {Promise<Blob>}
+ */
+export function encodeImageBlob(image) {
+  let blob = this.gallerySync.blobs.get(image);
+  if (!blob) {
+    let canvas = image;
+    if (!(image instanceof HTMLCanvasElement)) {
+      canvas = document.createElement('canvas');
+      canvas.width = image.naturalWidth || image.width;
+      canvas.height = image.naturalHeight || image.height;
+      canvas.getContext('2d').drawImage(image, 0, 0);
+    }
+    blob = this.encodeCanvas(canvas, 'png');
+    this.gallerySync.blobs.set(image, blob);
+  }
+  return blob;
+}
+
+/**
+ * Schedules storing the current edits in the capture history.
+ * @param {number} [delay] - Milliseconds to wait for further changes.
+ */
+export function scheduleGallerySync(delay = GALLERY_SYNC_DELAY) {
+  if (!this.captureInfo?.inHistory) return;
+  clearTimeout(this.gallerySync.timeout);
+  this.gallerySync.pending = true;
+  this.gallerySync.timeout = setTimeout(() => this.syncGalleryEntry(), delay);
+}
+
+/**
+ * Stores the editable project, the rendered image and a new thumbnail in the capture history.
+ */
+export async function syncGalleryEntry() {
+  const sync = this.gallerySync;
+  clearTimeout(sync.timeout);
+  if (sync.running) {
+    // Runs again once the current write has finished
+    sync.pending = true;
+    return;
+  }
+  const captureInfo = this.captureInfo;
+  if (!captureInfo?.inHistory || !this.canvasState.originalImage || !this.canvas) return;
+
+  sync.pending = false;
+  sync.running = true;
+  try {
+    const project = await this.buildProject(image => this.encodeImageBlob(image));
+    const canvas = this.renderExportCanvas(1);
+    const [rendered, thumbnail] = await Promise.all([this.encodeCanvas(canvas, 'png'), createThumbnail(canvas)]);
+    const exists = await saveCaptureEdits(captureInfo.captureId, {
+      project,
+      rendered,
+      thumbnail,
+      width: canvas.width,
+      height: canvas.height
+    });
+    if (!exists) {
+      console.log('Capture was removed from the history, no longer syncing edits.');
+      captureInfo.inHistory = false;
+    }
+  } catch (error) {
+    console.error('Failed to store edits in the capture history:', error);
+  } finally {
+    sync.running = false;
+  }
+  if (sync.pending) this.scheduleGallerySync();
+}
+
+/**
+ * Stores pending edits right away when the editor tab is hidden.
+ * Edits made less than GALLERY_SYNC_DELAY before closing the tab are not stored.
+ */
+export function initializeGallerySync() {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && this.gallerySync.pending) {
+      this.syncGalleryEntry();
+    }
+  });
+}
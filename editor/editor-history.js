@@ -0,0 +1,241 @@
+/**
+ * Command-based undo/redo history.
+ * A command is an already-applied change: { label, bytes, undo(), redo() }.
+ * Element changes store cloned element arrays; base-image changes (crop)
+ * reference immutable image sources, so no pixel copies are made.
+ */
+
+const COALESCE_WINDOW = 1000; // ms
+
+/**
+ * Deep-clones annotation elements so history snapshots are not mutated later.
+ * @param {Array<object>} elements - Elements to clone.
+ * @returns {Array<object>} The cloned elements.
+ */
+export function cloneElements(elements) {
+  return structuredClone(elements.filter(Boolean));
+}
+
+/**
+ * Estimates the memory held by an image source (4 bytes per pixel).
+ */
+function estimateImageBytes(image) {
+  if (!image) return 0;
+  const width = image.naturalWidth || image.width || 0;
+  const height = image.naturalHeight || image.height || 0;
+  return width * height * 4;
+}
+
+/**
+ * Records a command that has already been applied and clears the redo stack.
+ * @param {{label: string, bytes?: number, undo: Function, redo: Function}} command
+ */
+export function recordCommand(command) {
+  this.history.undoStack.push(command);
+  this.history.redoStack = [];
+  this.enforceHistoryLimits();
+  this.updateHistoryButtons();
+  this.scheduleGallerySync();
+}
+
+/**
+ * Records a change to the annotation elements.
+ * Changes sharing a coalesce key within a short window (arrow-key nudges,
+ * live property edits) are merged into the previous step.
+ * @param {string} label - Human readable description, e.g. "Add blackout".
+ * @param {Array<object>} before - Clone of the elements before the change.
+ * @param {string} [coalesceKey] - Merge with the previous step if it has the same key.
+ */
+export function recordElementsChange(label, before, coalesceKey = null) {
+  const after = cloneElements(this.elements.annotationElements);
+  const bytes = JSON.stringify(before).length + JSON.stringify(after).length;
+  const now = Date.now();
+  const last = this.history.undoStack[this.history.undoStack.length - 1];
+
+  if (coalesceKey && last && last.coalesceKey === coalesceKey && !this.history.redoStack.length &&
+      now - last.timestamp < COALESCE_WINDOW) {
+    last.redo = () => this.applyElements(after);
+    last.timestamp = now;
+    this.scheduleGallerySync();
+    return;
+  }
+
+  this.recordCommand({
+    label,
+    bytes,
+    coalesceKey,
+    timestamp: now,
+    undo: () => this.applyElements(before),
+    redo: () => this.applyElements(after)
+  });
+}
+
+/**
+ * Replaces the annotation elements with a snapshot and redraws.
+ */
+export function applyElements(elements) {
+  this.elements.annotationElements = cloneElements(elements);
+  this.redrawCanvas();
+  this.updateToolOptions();
+}
+
+/**
+ * Captures the current base image and elements, e.g. before a crop.
+ * @returns {{image: CanvasImageSource, elements: Array<object>}}
+ */
+export function captureBaseState() {
+  return {
+    image: this.canvasState.originalImage,
+    elements: cloneElements(this.elements.annotationElements)
+  };
+}
+
+/**
+ * Records a change to the base image (and elements remapped with it).
+ * @param {string} label - Human readable description, e.g. "Crop".
+ * @param {{image: CanvasImageSource, elements: Array<object>}} before
+ * @param {{image: CanvasImageSource, elements: Array<object>}} after
+ */
+export function recordBaseStateChange(label, before, after) {
+  this.recordCommand({
+    label,
+    // Conservative: adjacent commands may share an image
+    bytes: estimateImageBytes(before.image) + estimateImageBytes(after.image),
+    baseChange: { before, after }, // Kept for project files (crop history)
+    undo: () => this.applyBaseState(before),
+    redo: () => this.applyBaseState(after)
+  });
+}
+
+/**
+ * Restores a base image snapshot: resizes both canvases, redraws the base and elements.
+ */
+export function applyBaseState(state) {
+  const width = state.image.naturalWidth || state.image.width;
+  const height = state.image.naturalHeight || state.image.height;
+
+  this.canvasState.originalImage = state.image;
+  this.canvas.width = width;
+  this.canvas.height = height;
+  this.offscreenCanvas.width = width;
+  this.offscreenCanvas.height = height;
+  this.offscreenCtx.clearRect(0, 0, width, height);
+  this.offscreenCtx.drawImage(state.image, 0, 0);
+
+  this.elements.annotationElements = cloneElements(state.elements);
+  this.updateCanvasRect();
+  this.redrawCanvas();
+  this.updateToolOptions();
+}
+
+/**
+ * Reverts the most recent command.
+ */
+export function undo() {
+  if (this.state.isDrawing) return;
+  const command = this.history.undoStack.pop();
+  if (!command) {
+    this.showToast('Nothing to undo.', false, 'info');
+    return;
+  }
+  try {
+    command.undo();
+    this.history.redoStack.push(command);
+    this.showToast(`Undid: ${command.label}`, false, 'info');
+    this.scheduleGallerySync();
+  } catch (error) {
+    console.error(`Undo of "${command.label}" failed:`, error);
+    this.showToast(`Undo failed: ${error.message}`, false, 'error');
+  }
+  this.updateHistoryButtons();
+}
+
+/**
+ * Re-applies the most recently undone command.
+ */
+export function redo() {
+  if (this.state.isDrawing) return;
+  const command = this.history.redoStack.pop();
+  if (!command) {
+    this.showToast('Nothing to redo.', false, 'info');
+    return;
+  }
+  try {
+    command.redo();
+    this.history.undoStack.push(command);
+    this.showToast(`Redid: ${command.label}`, false, 'info');
+    this.scheduleGallerySync();
+  } catch (error) {
+    console.error(`Redo of "${command.label}" failed:`, error);
+    this.showToast(`Redo failed: ${error.message}`, false, 'error');
+  }
+  this.updateHistoryButtons();
+}
+
+/**
+ * Drops the oldest undo steps once the entry count or memory budget is exceeded.
+ */
+export function enforceHistoryLimits() {
+  const { maxEntries, maxBytes } = this.config.history;
+  const totalBytes = () => [...this.history.undoStack, ...this.history.redoStack]
+    .reduce((sum, command) => sum + (command.bytes || 0), 0);
+
+  while (this.history.undoStack.length > maxEntries) {
+    this.history.undoStack.shift();
+  }
+  // Always keep the latest step undoable, even if it alone exceeds the budget
+  while (this.history.undoStack.length > 1 && totalBytes() > maxBytes) {
+    this.history.undoStack.shift();
+  }
+}
+
+/**
+ * Clears all undo/redo steps.
+ */
+export function clearHistory() {
+  this.history.undoStack = [];
+  this.history.redoStack = [];
+  this.updateHistoryButtons();
+}
+
+/**
+ * Enables or disables the toolbar undo/redo buttons and updates their tooltips.
+ */
+export function updateHistoryButtons() {
+  const undoButton = document.getElementById('undoTool');
+  const redoButton = document.getElementById('redoTool');
+  const lastUndo = this.history.undoStack[this.history.undoStack.length - 1];
+  const lastRedo = this.history.redoStack[this.history.redoStack.length - 1];
+  if (undoButton) {
+    undoButton.disabled = !lastUndo;
+    undoButton.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+  }
+  if (redoButton) {
+    redoButton.disabled = !lastRedo;
+    redoButton.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+  }
+}
+
+/**
+ * Wires the toolbar undo/redo buttons.
+ */
+export function initializeHistoryControls() {
+  const controls = { 'undoTool': this.undo, 'redoTool': this.redo };
+  for (const [id, action] of Object.entries(controls)) {
+    const button = document.getElementById(id);
+    if (!button) {
+      console.warn(`History control with ID ${id} not found.`);
+      continue;
+    }
+    const listener = (event) => {
+      event.stopPropagation();
+      action.call(this);
+    };
+    if (button._clickListener) {
+      button.removeEventListener('click', button._clickListener);
+    }
+    button._clickListener = listener;
+    button.addEventListener('click', listener);
+  }
+  this.updateHistoryButtons();
+}
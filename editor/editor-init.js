@@ -1,21 +1,13 @@
+import { DRAWING_TOOLS } from './editor-tools.js';
+import { loadSettings } from '../shared/settings.js';
+import { takeHandoff } from '../shared/handoff.js';
+
 /**
  * Performs initial cleanup when the editor is closing or unloading.
  */
 export function cleanup() {
-  try {
-    if (chrome && chrome.storage && chrome.storage.local) {
-      chrome.storage.local.remove(['currentScreenshot', 'originalTab', 'cropOnlyMode'], () => {
-        if (chrome.runtime.lastError) {
-          console.warn('Error during cleanup storage removal:', chrome.runtime.lastError.message);
-        } else {
-          console.log('Temporary data cleared');
-        }
-      });
-    }
-  } catch (error) {
-    console.error('Cleanup failed:', error);
-  }
-  
+  // Handoffs are removed as soon as they are read (see openCapture), nothing to clear in storage
+
   // Nullify properties safely
   this.ctx = null;
   this.canvas = null;
@@ -23,8 +15,16 @@ export function cleanup() {
   this.offscreenCtx = null;
   this.canvasState.originalImage = null;
 
-  // Clear element arrays
+  // Drop any text being edited
+  if (this.textEditor) {
+    this.textEditor.textarea.remove();
+    this.textEditor = null;
+  }
+
+  // Clear element arrays and history
   this.elements.annotationElements = [];
+  this.history.undoStack = [];
+  this.history.redoStack = [];
 
   // Clear UI elements / timeouts
   if (this.ui.toastElement) { 
@@ -49,12 +49,12 @@ export function cleanup() {
 }
 
 /**
- * Checks the mode (cropOnly or full editor) from storage and configures the UI accordingly.
+ * Configures the UI for the mode of the capture (crop only or full editor).
+ * @param {boolean} [cropOnly] - Whether the capture was handed over for cropping only.
  */
-export async function checkMode() {
+export function checkMode(cropOnly = false) {
   try {
-    const { cropOnlyMode } = await chrome.storage.local.get(['cropOnlyMode']);
-    this.state.cropOnlyMode = !!cropOnlyMode; // Ensure boolean
+    this.state.cropOnlyMode = !!cropOnly;
 
     const cropTool = document.getElementById('cropTool');
     const spinnerTool = document.getElementById('spinner');
@@ -82,14 +82,7 @@ export async function checkMode() {
 
     } else {
       console.log("Entering Full Editor Mode UI setup.");
-      // Show all tools except spinner
-      document.querySelectorAll('.tool-item').forEach(tool => {
-        if (tool.id !== 'spinner') { 
-          tool.style.display = 'flex'; 
-        } else { 
-          tool.style.display = 'none'; 
-        } // Explicitly hide spinner
-      });
+      this.showEditorTools();
       if (cropTool) { 
         cropTool.classList.remove('active'); 
       } // Ensure crop not active
@@ -102,114 +95,244 @@ export async function checkMode() {
     this.showToast(`Error setting up editor mode: ${error.message}`, false, 'error');
     // Default to non-crop mode on error, show all tools except spinner
     this.state.cropOnlyMode = false;
-    document.querySelectorAll('.tool-item').forEach(tool => {
-      if (tool.id !== 'spinner') { 
-        tool.style.display = 'flex'; 
-      } else { 
-        tool.style.display = 'none'; 
-      }
-    });
+    this.showEditorTools();
     if (this.canvas) this.canvas.style.cursor = 'default';
   }
 }
 
 /**
- * Loads the screenshot image data from storage onto the canvas.
+ * Shows all toolbar tools except the spinner (full editor mode).
+ */
+export function showEditorTools() {
+  document.querySelectorAll('.tool-item').forEach(tool => {
+    tool.style.display = tool.id === 'spinner' ? 'none' : 'flex';
+  });
+}
+
+/**
+ * Loads the capture named in the page URL (editor.html?capture=<id>) onto the canvas.
  */
 export async function loadScreenshot() {
   try {
-    const { currentScreenshot } = await chrome.storage.local.get(['currentScreenshot']);
-    if (!currentScreenshot) { 
-      throw new Error('No screenshot data found in storage.'); 
+    const captureId = this.getRequestedCaptureId();
+    if (!captureId) {
+      throw new Error('No screenshot data found.');
     }
+    await this.openCapture(captureId);
+    this.registerDocument();
+  } catch (error) {
+    console.error('Failed to load screenshot:', error);
+    this.handleLoadFailure(`Failed to load screenshot: ${error.message}`);
+  }
+}
 
-    const img = new Image();
-    img.onerror = (e) => {
-      console.error('Image loading failed:', e);
-      this.handleLoadFailure('Failed to load the screenshot image data.');
-    };
-    img.onload = () => {
-      try {
-        this.canvasState.originalImage = img;
-        const originalWidth = this.canvasState.originalImage.naturalWidth;
-        const originalHeight = this.canvasState.originalImage.naturalHeight;
-        console.log(`Original image loaded: ${originalWidth}x${originalHeight}`);
-
-        const canvasWidth = originalWidth;
-        const canvasHeight = originalHeight;
-        console.log(`Setting canvas bitmap size to: ${canvasWidth}x${canvasHeight}`);
-
-        this.canvas.width = canvasWidth;
-        this.canvas.height = canvasHeight;
-        this.offscreenCanvas.width = canvasWidth;
-        this.offscreenCanvas.height = canvasHeight;
-
-        // Set canvas to fit within the available space while maintaining aspect ratio
-        const toolbarElement = document.querySelector('.toolbar');
-        this.config.toolbarHeight = toolbarElement ? toolbarElement.offsetHeight : 64;
-        const containerElement = document.getElementById('editorContainer');
-        const containerRect = containerElement ? containerElement.getBoundingClientRect() : { width: window.innerWidth, height: window.innerHeight - this.config.toolbarHeight };
-        
-        // Calculate available space
-        const availableWidth = containerRect.width - 48; // Account for padding
-        const availableHeight = containerRect.height - 48; // Account for padding
-        
-        // Calculate scale to fit within available space
-        const scaleX = availableWidth / canvasWidth;
-        const scaleY = availableHeight / canvasHeight;
-        const scale = Math.min(scaleX, scaleY, 1); // Don't scale up, only down
-        
-        // Set canvas display size
-        this.canvas.style.width = `${canvasWidth * scale}px`;
-        this.canvas.style.height = `${canvasHeight * scale}px`;
-        this.canvas.style.maxWidth = '100%';
-        this.canvas.style.maxHeight = '100%';
-
-        // Enable high-quality image smoothing for better clarity
-        this.offscreenCtx.imageSmoothingEnabled = true;
-        this.offscreenCtx.imageSmoothingQuality = 'high';
-        this.offscreenCtx.clearRect(0,0, canvasWidth, canvasHeight);
-        this.offscreenCtx.drawImage( this.canvasState.originalImage, 0, 0 );
-
-        // Enable high-quality image smoothing for the main canvas as well
-        this.ctx.imageSmoothingEnabled = true;
-        this.ctx.imageSmoothingQuality = 'high';
-        
-        // Additional quality settings for crisp output
-        this.ctx.textRenderingOptimization = 'optimizeQuality';
-        this.offscreenCtx.textRenderingOptimization = 'optimizeQuality';
-        
-        this.ctx.drawImage(this.offscreenCanvas, 0, 0);
-
-        this.updateCanvasRect();
-
-        this.canvas.style.opacity = '0';
-        requestAnimationFrame(() => {
-          this.canvas.style.transition = 'opacity 0.3s ease-in-out';
-          this.canvas.style.opacity = '1';
-        });
-
-        if (this.state.cropOnlyMode && this.isToolActive('crop')) {
-          if (this.canvas) this.canvas.style.cursor = 'crosshair';
-        } else {
-          if (this.canvas) this.canvas.style.cursor = 'default';
-        }
+/**
+ * Opens a capture by ID: a fresh capture handed over by the background, or an entry of the capture history.
+ * @param {string} captureId
+ */
+export async function openCapture(captureId) {
+  const handoff = await takeHandoff(captureId);
+  if (handoff) {
+    await this.loadHandoff(handoff);
+  } else {
+    await this.openGalleryCapture(captureId);
+  }
+}
 
-      } catch (error) {
-        console.error('Canvas setup failed after image load:', error);
-        this.handleLoadFailure(`Canvas setup failed: ${error.message}`);
-      }
+/**
+ * Opens a capture handed over by the background.
+ * @param {{image: Blob, originalTab: object, cropOnlyMode: boolean, detectedRedactions: object|null}} handoff
+ */
+export function loadHandoff({ image, originalTab, cropOnlyMode, detectedRedactions }) {
+  return this.loadCaptureImage(image, originalTab, { cropOnly: cropOnlyMode, detections: detectedRedactions });
+}
+
+/**
+ * Decodes an image Blob, split into tiles of at most config.maxCanvasSize.
+ * @param {Blob} blob
+ * @returns {Promise<{width: number, height: number, tiles: Array<{x: number, y: number, bitmap: ImageBitmap}>}>}
+ */
+export async function decodeImageTiles(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+  const { width: maxWidth, height: maxHeight } = this.config.maxCanvasSize;
+  if (width <= maxWidth && height <= maxHeight) {
+    return { width, height, tiles: [{ x: 0, y: 0, bitmap }] };
+  }
+
+  const tiles = [];
+  for (let y = 0; y < height; y += maxHeight) {
+    for (let x = 0; x < width; x += maxWidth) {
+      const tile = await createImageBitmap(bitmap, x, y, Math.min(maxWidth, width - x), Math.min(maxHeight, height - y));
+      tiles.push({ x, y, bitmap: tile });
+    }
+  }
+  bitmap.close();
+  return { width, height, tiles };
+}
+
+/**
+ * Moves detected sensitive data (capture CSS pixels) into the coordinates of one tile.
+ */
+function offsetDetections(detections, tile, imageWidth) {
+  if (!detections || !detections.width || !Array.isArray(detections.matches)) return detections;
+  const scale = imageWidth / detections.width; // Image pixels per CSS pixel
+  return {
+    ...detections,
+    width: tile.bitmap.width / scale,
+    matches: detections.matches.map(match => ({
+      ...match,
+      rects: match.rects.map(rect => ({ ...rect, x: rect.x - tile.x / scale, y: rect.y - tile.y / scale }))
+    }))
+  };
+}
+
+/**
+ * Decodes a capture and shows it with its detected sensitive data pre-redacted.
+ * A capture larger than config.maxCanvasSize does not fit one canvas; it is split
+ * into tiles that open as separate documents ("part 1 of 3", ...).
+ * @param {Blob} blob - The capture image.
+ * @param {object} captureInfo - Metadata of the capture (see this.captureInfo).
+ * @param {{cropOnly?: boolean, detections?: object|null}} [options]
+ */
+export async function loadCaptureImage(blob, captureInfo, { cropOnly = false, detections = null } = {}) {
+  const { width, tiles } = await this.decodeImageTiles(blob);
+  if (tiles.length === 1) {
+    this.captureInfo = captureInfo;
+    this.checkMode(cropOnly);
+    this.rememberImageBlob(tiles[0].bitmap, blob);
+    this.showCaptureImage(tiles[0].bitmap, detections);
+    return;
+  }
+
+  // Parts are loaded last to first so the first one stays open; edits of a part
+  // cannot be stored in the history entry of the whole capture
+  this.checkMode(false);
+  const parts = [];
+  for (let index = tiles.length - 1; index >= 0; index--) {
+    if (index < tiles.length - 1) this.resetDocumentState();
+    this.captureInfo = {
+      ...captureInfo,
+      title: `${captureInfo.title || 'Capture'} (part ${index + 1} of ${tiles.length})`,
+      inHistory: false
     };
-    img.src = currentScreenshot;
+    this.showCaptureImage(tiles[index].bitmap, offsetDetections(detections, tiles[index], width));
+    if (index > 0) {
+      parts.unshift({
+        captureInfo: this.captureInfo,
+        image: tiles[index].bitmap,
+        elements: this.cloneElements(this.elements.annotationElements),
+        history: this.history
+      });
+    }
+  }
+  this.documents.pendingParts = parts; // Added after this document by registerDocument
+  this.showToast(`The capture is too large for one canvas and was split into ${tiles.length} parts.`, false, 'info');
+}
 
+/**
+ * Draws a decoded capture onto the canvas and pre-redacts detected sensitive data.
+ * @param {ImageBitmap} image - The capture (or one tile of it).
+ * @param {object|null} detectedRedactions - Sensitive data found on the page, in capture CSS pixels.
+ */
+export function showCaptureImage(image, detectedRedactions) {
+  this.canvasState.originalImage = image;
+  const originalWidth = image.width;
+  const originalHeight = image.height;
+  console.log(`Original image loaded: ${originalWidth}x${originalHeight}`);
+
+  const canvasWidth = originalWidth;
+  const canvasHeight = originalHeight;
+  console.log(`Setting canvas bitmap size to: ${canvasWidth}x${canvasHeight}`);
+
+  this.canvas.width = canvasWidth;
+  this.canvas.height = canvasHeight;
+  this.offscreenCanvas.width = canvasWidth;
+  this.offscreenCanvas.height = canvasHeight;
+
+  // Set canvas to fit within the available space while maintaining aspect ratio
+  this.fitCanvasToContainer();
+
+  // Enable high-quality image smoothing for better clarity
+  this.offscreenCtx.imageSmoothingEnabled = true;
+  this.offscreenCtx.imageSmoothingQuality = 'high';
+  this.offscreenCtx.clearRect(0,0, canvasWidth, canvasHeight);
+  this.offscreenCtx.drawImage( this.canvasState.originalImage, 0, 0 );
+
+  // Enable high-quality image smoothing for the main canvas as well
+  this.ctx.imageSmoothingEnabled = true;
+  this.ctx.imageSmoothingQuality = 'high';
+
+  // Additional quality settings for crisp output
+  this.ctx.textRenderingOptimization = 'optimizeQuality';
+  this.offscreenCtx.textRenderingOptimization = 'optimizeQuality';
+
+  this.ctx.drawImage(this.offscreenCanvas, 0, 0);
+
+  this.updateCanvasRect();
+
+  // Pre-redact sensitive data found on the page (reviewable in the panel)
+  this.applyDetectedRedactions(detectedRedactions);
+  if (this.elements.annotationElements.length) this.scheduleGallerySync(); // Keep the history thumbnail redacted
+
+  this.canvas.style.opacity = '0';
+  requestAnimationFrame(() => {
+    this.canvas.style.transition = 'opacity 0.3s ease-in-out';
+    this.canvas.style.opacity = '1';
+  });
+
+  if (this.state.cropOnlyMode && this.isToolActive('crop')) {
+    if (this.canvas) this.canvas.style.cursor = 'crosshair';
+  } else {
+    if (this.canvas) this.canvas.style.cursor = 'default';
+  }
+}
+
+/**
+ * Sizes the canvas element to fit the editor area, keeping the aspect ratio
+ * of the canvas bitmap and never scaling up.
+ */
+export function fitCanvasToContainer() {
+  const canvasWidth = this.canvas.width;
+  const canvasHeight = this.canvas.height;
+  const toolbarElement = document.querySelector('.toolbar');
+  this.config.toolbarHeight = toolbarElement ? toolbarElement.offsetHeight : 64;
+  const containerElement = document.getElementById('editorContainer');
+  const containerRect = containerElement ? containerElement.getBoundingClientRect() : { width: window.innerWidth, height: window.innerHeight - this.config.toolbarHeight };
+  
+  // Calculate available space
+  const availableWidth = containerRect.width - 48; // Account for padding
+  const availableHeight = containerRect.height - 48; // Account for padding
+  
+  // Calculate scale to fit within available space
+  const scaleX = availableWidth / canvasWidth;
+  const scaleY = availableHeight / canvasHeight;
+  const scale = Math.min(scaleX, scaleY, 1); // Don't scale up, only down
+  
+  // Set canvas display size
+  this.canvas.style.width = `${canvasWidth * scale}px`;
+  this.canvas.style.height = `${canvasHeight * scale}px`;
+  this.canvas.style.maxWidth = '100%';
+  this.canvas.style.maxHeight = '100%';
+}
+
+/**
+ * Applies the annotation defaults from the options page to this.toolSettings.
+ */
+export async function applyUserSettings() {
+  try {
+    const settings = await loadSettings();
+    Object.assign(this.toolSettings, {
+      color: settings.annotationColor,
+      lineWidth: settings.annotationLineWidth,
+      fontSize: settings.fontSize,
+      highlighterColor: settings.highlighterColor,
+      redaction: settings.redactionStyle,
+      redactionColor: settings.redactionColor
+    });
+    this.updateToolOptions();
   } catch (error) {
-    console.error('Failed to load screenshot:', error);
-    this.handleLoadFailure(`Failed to load screenshot: ${error.message}`);
-    try { 
-      if (chrome.storage) await chrome.storage.local.remove(['currentScreenshot']); 
-    } catch (removeError) { 
-      console.warn("Failed to remove screenshot data after load failure:", removeError); 
-    }
+    console.warn('Failed to load user settings, using built-in defaults:', error);
   }
 }
 
@@ -240,13 +363,8 @@ export function handleLoadFailure(message = 'Screenshot loading failed') {
   this.ctx.fillText(message, canvasWidth / 2, canvasHeight / 2);
 
   this.updateCanvasRect();
-  try { 
-    if (chrome.storage) chrome.storage.local.remove(['currentScreenshot']); 
-  } catch (removeError) { 
-    console.warn("Failed to remove screenshot data during load failure:", removeError); 
-  }
-  // Disable tools
-  document.querySelectorAll('.tool-item:not(#closeTool)').forEach(tool => { 
+  // Disable tools (a saved project can still be opened)
+  document.querySelectorAll('.tool-item:not(#closeTool):not(#openProjectTool)').forEach(tool => { 
     if(tool.id !== 'spinner') { 
       tool.style.display = 'none'; 
     } 
@@ -260,8 +378,22 @@ export function initializeTools() {
   const tools = {
     'cropTool': 'crop',
     'annotateTool': 'annotate', // Blackout
+    'arrowTool': 'arrow',
+    'lineTool': 'line',
+    'rectangleTool': 'rectangle',
+    'ellipseTool': 'ellipse',
+    'roundedRectTool': 'roundedRect',
+    'penTool': 'pen',
+    'highlighterTool': 'highlighter',
+    'textTool': 'text',
+    'stepTool': 'step',
+    'magnifierTool': 'magnifier',
+    'spotlightTool': 'spotlight',
+    'selectTool': 'select',
     'shareTool': this.copyToClipboard,
-    'saveTool': this.saveImage
+    'saveTool': this.openExportDialog,
+    'openProjectTool': this.chooseProjectFile,
+    'saveProjectTool': this.saveProject
   };
 
   for (const [id, action] of Object.entries(tools)) {
@@ -273,8 +405,13 @@ export function initializeTools() {
           if (typeof action === 'string') { // Tool toggle
             this.toggleTool(action);
           } else if (typeof action === 'function') { // Action like save/copy
+            // Deselecting the crop tool would drop a pending crop area (also for Ctrl+C / Ctrl+S)
+            if (this.getPendingCrop()) {
+              this.showToast("Finalize cropping first: Enter applies it, Esc cancels.", false, 'warning');
+              return;
+            }
             // Deselect any active drawing tool before action
-            ['crop', 'annotate'].forEach(toolName => {
+            DRAWING_TOOLS.forEach(toolName => {
               if (this.isToolActive(toolName)) { 
                 this.toggleTool(toolName); 
               }
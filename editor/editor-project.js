@@ -0,0 +1,230 @@
+import { loadSettings } from '../shared/settings.js';
+import { buildDownloadFilename } from '../shared/filename.js';
+
+/**
+ * Editable project files (.snipscreen): the base image, the annotation
+ * elements, the crop history and the capture metadata, stored as JSON so a
+ * screenshot can be reopened later with every annotation still editable.
+ */
+
+export const PROJECT_FORMAT = 'snipscreen-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = 'snipscreen';
+
+/**
+ * Encodes an image source (image or canvas) as a PNG data URL.
+ */
+function imageToDataUrl(image) {
+  if (image instanceof HTMLCanvasElement) return image.toDataURL('image/png');
+  const canvas = document.createElement('canvas');
+  canvas.width = image.naturalWidth || image.width;
+  canvas.height = image.naturalHeight || image.height;
+  canvas.getContext('2d').drawImage(image, 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Decodes a project image: a data URL in project files, a Blob in the capture history.
+ * @returns {Promise<HTMLImageElement|ImageBitmap>}
+ */
+async function loadProjectImage(source) {
+  if (source instanceof Blob) return createImageBitmap(source);
+  if (typeof source !== 'string' || !source.startsWith('data:image/')) {
+    throw new Error('Project image is missing or invalid');
+  }
+  const image = new Image();
+  image.src = source;
+  await image.decode();
+  return image;
+}
+
+/**
+ * Checks that parsed JSON is a project this version can open.
+ * @throws {Error} Describing why the file cannot be opened.
+ */
+function validateProject(project) {
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new Error('Not a SnipScreen project file');
+  }
+  if (!Number.isInteger(project.version) || project.version > PROJECT_VERSION) {
+    throw new Error('The project was saved by a newer version of SnipScreen');
+  }
+  if (!Array.isArray(project.elements) || (project.cropHistory && !Array.isArray(project.cropHistory))) {
+    throw new Error('Project file is damaged');
+  }
+}
+
+/**
+ * Serializes the current editor state into a project object.
+ * Crops still in the undo history are kept (oldest first) so they can be undone after reopening.
+ * @param {Function} [encodeImage] - Turns an image source into what is stored (PNG data URL by default).
+ * @returns {Promise<object>} The project, JSON-serializable with the default encoder.
+ */
+export async function buildProject(encodeImage = imageToDataUrl) {
+  const image = this.canvasState.originalImage;
+  const crops = this.history.undoStack.filter(command => command.baseChange);
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    createdAt: new Date().toISOString(),
+    app: { name: 'SnipScreen', version: chrome.runtime.getManifest().version },
+    capture: this.captureInfo,
+    width: image.naturalWidth || image.width,
+    height: image.naturalHeight || image.height,
+    image: await encodeImage(image),
+    elements: this.cloneElements(this.elements.annotationElements),
+    cropHistory: await Promise.all(crops.map(async ({ label, baseChange }) => ({
+      label,
+      image: await encodeImage(baseChange.before.image),
+      elements: baseChange.before.elements,
+      elementsAfter: baseChange.after.elements // Elements may change again before the next crop
+    })))
+  };
+}
+
+/**
+ * Downloads the current editor state as a .snipscreen project file.
+ */
+export async function saveProject() {
+  if (!this.canvasState.originalImage) {
+    this.showToast('Nothing to save yet.', false, 'error');
+    return;
+  }
+  if ((this.state.isDrawing && this.isToolActive('crop')) || this.getPendingCrop()) {
+    this.showToast('Finalize cropping before saving.', false, 'warning');
+    return;
+  }
+  if (this.textEditor) this.commitTextEditing();
+
+  this.showSpinner(true);
+  try {
+    const project = await this.buildProject();
+    const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+    const settings = await loadSettings();
+    const filename = await buildDownloadFilename(settings, {
+      ...this.captureInfo,
+      width: project.width,
+      height: project.height
+    }, PROJECT_EXTENSION);
+    await this.tryDownload(await this.readBlobAsDataUrl(blob), filename, 0);
+    this.showToast(`Project saved (${this.formatFileSize(blob.size)})`, false, 'success');
+  } catch (error) {
+    console.error('Save project failed:', error);
+    if (error.message.includes('USER_CANCELED')) {
+      this.showToast('Save cancelled by user.', false, 'info');
+    } else {
+      this.showToast(`Saving the project failed: ${error.message || 'Unknown error'}`, false, 'error');
+    }
+  } finally {
+    this.showSpinner(false);
+  }
+}
+
+/**
+ * Opens the file picker for a .snipscreen project.
+ */
+export function chooseProjectFile() {
+  document.getElementById('projectFileInput')?.click();
+}
+
+/**
+ * Reads, validates and opens a project file chosen or dropped by the user.
+ * Asks before discarding unsaved edits.
+ * @param {File} file
+ */
+export async function openProjectFile(file) {
+  if (!file) return;
+  const hasEdits = this.history.undoStack.length > 0 || this.elements.annotationElements.length > 0;
+  if (hasEdits && !window.confirm('Open the project and discard the current edits?')) return;
+
+  this.showSpinner(true);
+  try {
+    let project;
+    try {
+      project = JSON.parse(await file.text());
+    } catch {
+      throw new Error('Not a SnipScreen project file');
+    }
+    validateProject(project);
+    await this.loadProject(project);
+    if (!this.documents.activeId) this.registerDocument(); // Nothing was loaded before
+    this.showToast(`Opened ${file.name}`, false, 'success');
+  } catch (error) {
+    console.error('Open project failed:', error);
+    this.showToast(`Cannot open ${file.name}: ${error.message}`, false, 'error');
+  } finally {
+    this.showSpinner(false);
+  }
+}
+
+/**
+ * Replaces the editor state with a validated project, rebuilding its crop history as undo steps.
+ * @param {object} project - Parsed project, see buildProject.
+ */
+export async function loadProject(project) {
+  // Decode everything first so a damaged file leaves the current state untouched
+  const image = await loadProjectImage(project.image);
+  const crops = await Promise.all((project.cropHistory || []).map(async crop => ({
+    label: crop.label || 'Crop',
+    image: await loadProjectImage(crop.image),
+    elements: Array.isArray(crop.elements) ? crop.elements : [],
+    elementsAfter: Array.isArray(crop.elementsAfter) ? crop.elementsAfter : []
+  })));
+
+  this.resetDocumentState();
+  this.captureInfo = project.capture && typeof project.capture === 'object'
+    ? project.capture
+    : { date: Date.parse(project.createdAt) || Date.now() };
+
+  crops.forEach((crop, index) => {
+    const nextImage = index + 1 < crops.length ? crops[index + 1].image : image;
+    this.recordBaseStateChange(crop.label,
+      { image: crop.image, elements: crop.elements },
+      { image: nextImage, elements: crop.elementsAfter });
+  });
+  this.applyBaseState({ image, elements: project.elements });
+  this.fitCanvasToContainer();
+  this.updateCanvasRect();
+  this.canvas.style.cursor = 'default';
+  this.renderDocumentTabs();
+}
+
+/**
+ * Wires the project file input and drag-and-drop of .snipscreen files onto the editor.
+ */
+export function initializeProjectControls() {
+  const input = document.getElementById('projectFileInput');
+  if (input) {
+    input.addEventListener('change', () => {
+      const [file] = input.files;
+      input.value = ''; // Allow reopening the same file
+      this.openProjectFile(file);
+    });
+  } else {
+    console.warn('Project file input not found.');
+  }
+
+  const hasFiles = (event) => event.dataTransfer?.types.includes('Files');
+  document.addEventListener('dragover', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    document.body.classList.add('drop-target');
+  });
+  document.addEventListener('dragleave', (event) => {
+    if (!event.relatedTarget) document.body.classList.remove('drop-target');
+  });
+  document.addEventListener('drop', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    document.body.classList.remove('drop-target');
+    const [file] = event.dataTransfer.files;
+    if (!file) return;
+    if (!file.name.toLowerCase().endsWith(`.${PROJECT_EXTENSION}`) && file.type !== 'application/json') {
+      this.showToast('Drop a .snipscreen project file to open it.', false, 'info');
+      return;
+    }
+    this.openProjectFile(file);
+  });
+}
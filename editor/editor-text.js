@@ -0,0 +1,186 @@
+import { STYLE_PROPERTIES } from './editor-annotations.js';
+
+/**
+ * Inline editing of text annotations.
+ * A textarea is positioned over the canvas at the element's location and
+ * styled to match the rendered text at the current display scale. The element
+ * itself is hidden from the canvas while it is being edited.
+ */
+
+/**
+ * Canvas pixels per CSS pixel of the displayed canvas.
+ */
+function getDisplayScale(editor) {
+  const rect = editor.ui.canvasRect;
+  return rect && rect.width > 0 ? editor.canvas.width / rect.width : 1;
+}
+
+/**
+ * Returns the topmost text element under a canvas point.
+ */
+export function findTextElementAt(pos) {
+  const elements = this.elements.annotationElements;
+  for (let i = elements.length - 1; i >= 0; i--) {
+    const element = elements[i];
+    if (element && element.type === 'text' && this.hitTestElement(element, pos)) return element;
+  }
+  return null;
+}
+
+/**
+ * Opens the inline text editor, either for an existing text element or for a
+ * new one at the given canvas position using the current tool settings.
+ * @param {{x: number, y: number}} pos - Canvas position for a new text element.
+ * @param {object} [element] - Existing text element to re-edit.
+ */
+export function beginTextEditing(pos, element = null) {
+  if (this.textEditor) this.commitTextEditing();
+  this.updateCanvasRect();
+
+  const draft = element ? structuredClone(element) : {
+    type: 'text',
+    id: `anno-${Date.now()}`,
+    x: pos.x,
+    y: pos.y,
+    text: '',
+    color: this.toolSettings.color,
+    fontSize: this.toolSettings.fontSize,
+    bold: this.toolSettings.bold,
+    background: this.toolSettings.textBackground
+  };
+
+  const textarea = document.createElement('textarea');
+  textarea.className = 'text-editor';
+  textarea.value = draft.text;
+  textarea.spellcheck = false;
+  textarea.setAttribute('aria-label', 'Annotation text');
+  document.body.appendChild(textarea);
+
+  this.textEditor = {
+    textarea,
+    draft,
+    existingId: element ? element.id : null
+  };
+
+  textarea.addEventListener('input', () => this.updateTextEditorLayout());
+  textarea.addEventListener('keydown', (e) => {
+    e.stopPropagation(); // Keep editor shortcuts (Delete, Ctrl+Z, ...) out of the text box
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.cancelTextEditing();
+    } else if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      this.commitTextEditing();
+    }
+  });
+  textarea.addEventListener('blur', () => {
+    if (this.textEditor && this.textEditor.textarea === textarea) this.commitTextEditing();
+  });
+
+  this.updateTextEditorLayout();
+  this.redrawCanvas(); // Hides the element being edited
+  // Focus after the mousedown that opened the editor has finished
+  requestAnimationFrame(() => {
+    textarea.focus();
+    textarea.select();
+  });
+}
+
+/**
+ * Positions and styles the textarea so it overlays the rendered text exactly.
+ */
+export function updateTextEditorLayout() {
+  if (!this.textEditor || !this.ui.canvasRect) return;
+  const { textarea, draft } = this.textEditor;
+  draft.text = textarea.value;
+
+  const scale = getDisplayScale(this);
+  const rect = this.ui.canvasRect;
+  const layout = this.measureTextElement({ ...draft, text: draft.text || ' ' });
+
+  Object.assign(textarea.style, {
+    left: `${rect.left + draft.x / scale}px`,
+    top: `${rect.top + draft.y / scale}px`,
+    width: `${Math.ceil(layout.width / scale) + 8}px`,
+    height: `${Math.ceil(layout.height / scale) + 2}px`,
+    padding: `${layout.padding / scale}px`,
+    font: this.buildTextFont(draft.fontSize / scale, draft.bold),
+    lineHeight: `${layout.lineHeight / scale}px`,
+    color: draft.color,
+    background: draft.background ? this.getTextPillColor(draft.color) : 'transparent',
+    borderRadius: draft.background ? `${Math.min(layout.height / 2, draft.fontSize) / scale}px` : '2px'
+  });
+}
+
+/**
+ * Applies a changed tool setting (color, size, bold, background) to the text being edited.
+ * @param {string} key - The this.toolSettings key that changed.
+ */
+export function applyToolSettingToTextEditor(key) {
+  if (!this.textEditor) return;
+  const property = STYLE_PROPERTIES.text[key];
+  if (!property) return;
+  this.textEditor.draft[property] = this.toolSettings[key];
+  this.updateTextEditorLayout();
+  this.textEditor.textarea.focus();
+}
+
+/**
+ * Closes the editor and writes the text into the annotation elements.
+ * Empty text removes an existing element (or creates nothing).
+ */
+export function commitTextEditing() {
+  const editor = this.textEditor;
+  if (!editor) return;
+  this.textEditor = null;
+  editor.draft.text = editor.textarea.value.replace(/\s+$/, '');
+  editor.textarea.remove();
+
+  const elementsBefore = this.cloneElements(this.elements.annotationElements);
+  const index = this.elements.annotationElements.findIndex(element => element && element.id === editor.existingId);
+  const existing = index >= 0 ? this.elements.annotationElements[index] : null;
+
+  if (!editor.draft.text) {
+    if (existing) {
+      this.elements.annotationElements.splice(index, 1);
+      this.recordElementsChange('Delete text', elementsBefore);
+    }
+  } else if (existing) {
+    if (JSON.stringify(existing) !== JSON.stringify(editor.draft)) {
+      this.elements.annotationElements[index] = editor.draft;
+      this.recordElementsChange('Edit text', elementsBefore);
+    }
+  } else {
+    this.elements.annotationElements.push(editor.draft);
+    this.recordElementsChange('Add text', elementsBefore);
+  }
+  this.redrawCanvas();
+}
+
+/**
+ * Closes the editor without changing anything.
+ */
+export function cancelTextEditing() {
+  const editor = this.textEditor;
+  if (!editor) return;
+  this.textEditor = null;
+  editor.textarea.remove();
+  this.redrawCanvas();
+}
+
+/**
+ * Re-edits a text element on double click, whichever tool is active.
+ */
+export function handleCanvasDoubleClick(e) {
+  if (this.state.isDrawing) return;
+  // Double-clicking a pending crop area applies it (clicks outside it would have replaced it)
+  if (this.getPendingCrop()) {
+    e.preventDefault();
+    this.completeCrop();
+    return;
+  }
+  const element = this.findTextElementAt(this.getMousePos(e));
+  if (!element) return;
+  e.preventDefault();
+  this.beginTextEditing(null, element);
+}
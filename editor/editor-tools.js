@@ -1,7 +1,42 @@
+import { loadSettings } from '../shared/settings.js';
+import { buildDownloadFilename } from '../shared/filename.js';
+import { EXPORT_FORMATS } from './editor-export.js';
+
+/**
+ * Tools that create a vector annotation by dragging on the canvas.
+ */
+export const SHAPE_TOOLS = ['arrow', 'line', 'rectangle', 'ellipse', 'roundedRect', 'magnifier', 'spotlight'];
+
 /**
- * Toggles the active state of a tool (e.g., crop, annotate, text, arrow).
+ * Tools that record a freehand stroke while the mouse is down.
+ */
+export const FREEHAND_TOOLS = ['pen', 'highlighter'];
+
+/**
+ * Mutually exclusive canvas interaction tools.
+ */
+export const DRAWING_TOOLS = ['crop', 'annotate', 'select', 'text', 'step', ...SHAPE_TOOLS, ...FREEHAND_TOOLS];
+
+/**
+ * Returns the active shape tool, if any.
+ * @returns {string|null}
+ */
+export function getActiveShapeTool() {
+  return SHAPE_TOOLS.find(tool => this.isToolActive(tool)) || null;
+}
+
+/**
+ * Returns the active freehand tool, if any.
+ * @returns {string|null}
+ */
+export function getActiveFreehandTool() {
+  return FREEHAND_TOOLS.find(tool => this.isToolActive(tool)) || null;
+}
+
+/**
+ * Toggles the active state of a tool (e.g., crop, annotate, select, text, arrow, pen, ellipse).
  * Deactivates other mutually exclusive tools.
- * @param {'crop' | 'annotate' | 'text' | 'arrow'} tool - The name of the tool to toggle.
+ * @param {string} tool - The name of the tool to toggle, one of DRAWING_TOOLS.
  */
 export function toggleTool(tool) {
   // Prevent activating other tools during initial crop mode
@@ -23,7 +58,7 @@ export function toggleTool(tool) {
   }
 
   // Define mutually exclusive drawing/interaction tools
-  const drawingTools = ['crop', 'annotate'];
+  const drawingTools = DRAWING_TOOLS;
   const otherDrawingTools = drawingTools.filter(t => t !== tool);
 
   // If the clicked tool is already active, deactivate it.
@@ -43,9 +78,19 @@ export function toggleTool(tool) {
       this.canvas.style.transform = '';
     }
 
-    // If deactivating crop, redraw to remove guides
+    // If deactivating crop, drop the pending crop area and its guides
     if (tool === 'crop') {
-      this.redrawCanvas();
+      this.resetCropState();
+    }
+
+    // Leaving the select tool drops the selection outline
+    if (tool === 'select') {
+      this.selectElement(null);
+    }
+
+    // Leaving the text tool keeps the text typed so far
+    if (tool === 'text') {
+      this.commitTextEditing();
     }
 
   } else {
@@ -62,6 +107,12 @@ export function toggleTool(tool) {
           otherElement.classList.remove('active');
           this.animateToolActivation(otherTool, false);
         }
+        if (otherTool === 'select') {
+          this.selectElement(null);
+        }
+        if (otherTool === 'crop') {
+          this.resetCropState();
+        }
       }
     });
 
@@ -80,8 +131,32 @@ export function toggleTool(tool) {
         this.canvas.style.transform = 'translateY(-1px) scale(1.002)';
       }
       this.showToast(tool === 'crop' ? "Drag to select crop area." : "Click and drag to draw rectangles.", false, 'info');
+    } else if (SHAPE_TOOLS.includes(tool)) {
+      if (this.canvas) this.canvas.style.cursor = 'crosshair';
+      if (tool === 'magnifier') {
+        this.showToast("Drag over the area to enlarge. Move the inset with the select tool.", false, 'info');
+      } else if (tool === 'spotlight') {
+        this.showToast("Drag to highlight areas. Everything else is dimmed.", false, 'info');
+      } else {
+        const shiftHint = tool === 'arrow' || tool === 'line' ? 'snap to 45°' : (tool === 'ellipse' ? 'draw a circle' : 'draw a square');
+        this.showToast(`Click and drag to draw. Hold Shift to ${shiftHint}.`, false, 'info');
+      }
+    } else if (FREEHAND_TOOLS.includes(tool)) {
+      if (this.canvas) this.canvas.style.cursor = 'crosshair';
+      this.showToast(tool === 'pen' ? "Click and drag to draw freehand." : "Drag over text to highlight it.", false, 'info');
+    } else if (tool === 'step') {
+      if (this.canvas) this.canvas.style.cursor = 'copy';
+      this.showToast("Click to place numbered steps. Select a step to add a label.", false, 'info');
+    } else if (tool === 'text') {
+      if (this.canvas) this.canvas.style.cursor = 'text';
+      this.showToast("Click to place text. Enter to finish, Shift+Enter for a new line. Double-click text to edit it.", false, 'info');
+    } else if (tool === 'select') {
+      if (this.canvas) this.canvas.style.cursor = 'default';
+      this.showToast("Click an annotation to select it. Drag to move, use corners to resize, Delete to remove.", false, 'info');
     }
   }
+
+  this.updateToolOptions();
 }
 
 /**
@@ -99,6 +174,12 @@ export async function completeCrop() {
     return;
   }
 
+  // The current base image; replaced by a cropped copy once the crop succeeds
+  const sourceImage = this.canvasState.originalImage;
+  const sourceImageWidth = sourceImage.naturalWidth || sourceImage.width;
+  const sourceImageHeight = sourceImage.naturalHeight || sourceImage.height;
+  const stateBeforeCrop = this.captureBaseState();
+
   // Store dimensions before cropping
   const currentDisplayWidth = this.offscreenCanvas.width;
   const currentDisplayHeight = this.offscreenCanvas.height;
@@ -130,18 +211,18 @@ export async function completeCrop() {
 
   try {
     // Calculate scaling factors
-    const scaleX = this.canvasState.originalImage.naturalWidth / currentDisplayWidth;
-    const scaleY = this.canvasState.originalImage.naturalHeight / currentDisplayHeight;
+    const scaleX = sourceImageWidth / currentDisplayWidth;
+    const scaleY = sourceImageHeight / currentDisplayHeight;
 
     // Calculate and clamp source rectangle on original image
     const sourceX = Math.round(clampedStartX * scaleX);
     const sourceY = Math.round(clampedStartY * scaleY);
     const sourceWidth = Math.round(clampedWidth * scaleX);
     const sourceHeight = Math.round(clampedHeight * scaleY);
-    const clampedSourceX = Math.max(0, Math.min(sourceX, this.canvasState.originalImage.naturalWidth));
-    const clampedSourceY = Math.max(0, Math.min(sourceY, this.canvasState.originalImage.naturalHeight));
-    const clampedSourceWidth = Math.max(1, Math.min(sourceWidth, this.canvasState.originalImage.naturalWidth - clampedSourceX));
-    const clampedSourceHeight = Math.max(1, Math.min(sourceHeight, this.canvasState.originalImage.naturalHeight - clampedSourceY));
+    const clampedSourceX = Math.max(0, Math.min(sourceX, sourceImageWidth));
+    const clampedSourceY = Math.max(0, Math.min(sourceY, sourceImageHeight));
+    const clampedSourceWidth = Math.max(1, Math.min(sourceWidth, sourceImageWidth - clampedSourceX));
+    const clampedSourceHeight = Math.max(1, Math.min(sourceHeight, sourceImageHeight - clampedSourceY));
     console.log(`Cropping from original image: x=${clampedSourceX}, y=${clampedSourceY}, w=${clampedSourceWidth}, h=${clampedSourceHeight}`);
 
     // Resize editor canvases
@@ -152,37 +233,43 @@ export async function completeCrop() {
     this.offscreenCanvas.width = newCanvasWidth;
     this.offscreenCanvas.height = newCanvasHeight;
 
-    // Draw cropped high-res section to offscreen canvas
-    this.offscreenCtx.imageSmoothingEnabled = false;
-    this.offscreenCtx.clearRect(0, 0, newCanvasWidth, newCanvasHeight);
-    this.offscreenCtx.drawImage(
-      this.canvasState.originalImage,
+    // Keep the cropped section as the new immutable base image (also referenced by undo history)
+    const croppedImage = document.createElement('canvas');
+    croppedImage.width = newCanvasWidth;
+    croppedImage.height = newCanvasHeight;
+    const croppedCtx = croppedImage.getContext('2d');
+    croppedCtx.imageSmoothingEnabled = false;
+    croppedCtx.drawImage(
+      sourceImage,
       clampedSourceX, clampedSourceY, clampedSourceWidth, clampedSourceHeight,
       0, 0, newCanvasWidth, newCanvasHeight
     );
+    this.canvasState.originalImage = croppedImage;
+
+    // Draw cropped high-res section to offscreen canvas
+    this.offscreenCtx.imageSmoothingEnabled = false;
+    this.offscreenCtx.clearRect(0, 0, newCanvasWidth, newCanvasHeight);
+    this.offscreenCtx.drawImage(croppedImage, 0, 0);
     console.log("Drew high-res cropped section to offscreen canvas.");
 
-    // Adjust annotation elements (rectangles)
+    this.selection.elementId = null;
+
+    // Adjust annotation elements (rectangles, lines, ...) and drop those outside the crop
     this.elements.annotationElements = this.elements.annotationElements
-      .map(element => {
-        const originalElementX = element.x * scaleX;
-        const originalElementY = element.y * scaleY;
-        const originalElementWidth = element.width * scaleX;
-        const originalElementHeight = element.height * scaleY;
-        const newX = originalElementX - clampedSourceX;
-        const newY = originalElementY - clampedSourceY;
-        const newWidth = originalElementWidth;
-        const newHeight = originalElementHeight;
-        return { ...element, x: Math.round(newX), y: Math.round(newY), width: Math.round(newWidth), height: Math.round(newHeight) };
-      })
+      .filter(Boolean)
+      .map(element => this.remapElement(element, scaleX, scaleY, clampedSourceX, clampedSourceY))
       .filter(element => {
-        const elementRight = element.x + element.width;
-        const elementBottom = element.y + element.height;
-        return elementRight > 0 && elementBottom > 0 && element.x < newCanvasWidth && element.y < newCanvasHeight;
+        const bounds = this.getElementBounds(element);
+        const elementRight = bounds.x + bounds.width;
+        const elementBottom = bounds.y + bounds.height;
+        return elementRight > 0 && elementBottom > 0 && bounds.x < newCanvasWidth && bounds.y < newCanvasHeight;
       });
+    this.renumberSteps(); // Steps cropped away leave no gaps
 
     console.log("Adjusted annotation elements for crop.");
 
+    this.recordBaseStateChange('Crop', stateBeforeCrop, this.captureBaseState());
+
     // Update canvas rectangle cache
     this.updateCanvasRect();
     this.redrawCanvas();
@@ -200,6 +287,21 @@ export async function completeCrop() {
   }
 }
 
+/**
+ * The crop area dragged but not applied yet (Enter or a double-click applies it, Esc discards it).
+ * @returns {{x: number, y: number, width: number, height: number} | null} Canvas pixels.
+ */
+export function getPendingCrop() {
+  const { cropStart, cropEnd } = this.drawingState;
+  if (this.state.isDrawing || !cropStart || !cropEnd || !this.isToolActive('crop')) return null;
+  return {
+    x: Math.min(cropStart.x, cropEnd.x),
+    y: Math.min(cropStart.y, cropEnd.y),
+    width: Math.abs(cropEnd.x - cropStart.x),
+    height: Math.abs(cropEnd.y - cropStart.y)
+  };
+}
+
 /**
  * Helper function to reset cropping state and redraw canvas.
  */
@@ -209,7 +311,7 @@ export function resetCropState() {
   if (this.canvas) {
     // Determine appropriate cursor
     let newCursor = 'default';
-    if (this.isToolActive('crop') || this.isToolActive('annotate')) newCursor = 'crosshair';
+    if (this.isToolActive('crop') || this.isToolActive('annotate') || this.getActiveShapeTool() || this.getActiveFreehandTool()) newCursor = 'crosshair';
     this.canvas.style.cursor = newCursor;
     // Reset canvas transform
     this.canvas.style.transform = '';
@@ -220,13 +322,15 @@ export function resetCropState() {
 
 /**
  * Copies the current canvas content to the clipboard as a PNG image.
+ * @param {{scale: string} | null} [options] - Export options from the export dialog;
+ *   only the scale applies, clipboard images are always PNG.
  */
-export async function copyToClipboard() {
+export async function copyToClipboard(options = null) {
   if (!this.canvas || this.canvas.width === 0 || this.canvas.height === 0) {
     this.showToast("Cannot copy empty image.", false, 'error'); 
     return; 
   }
-  if (this.state.isDrawing && this.isToolActive('crop')) {
+  if ((this.state.isDrawing && this.isToolActive('crop')) || this.getPendingCrop()) {
     this.showToast("Finalize cropping before copying.", false, 'warning'); 
     return; 
   }
@@ -246,16 +350,10 @@ export async function copyToClipboard() {
     }
 
     // NOTE: This action is directly initiated by the user clicking the 'Copy' button.
-    const finalCanvas = this.prepareFinalCanvas();
+    const finalCanvas = this.renderExportCanvas(this.getExportScale(options?.scale));
     
     // Create high-quality blob with maximum quality settings
-    const blob = await new Promise((resolve, reject) => {
-      finalCanvas.toBlob(
-        blob => blob ? resolve(blob) : reject(new Error('Canvas toBlob failed.')), 
-        'image/png', 
-        1.0 // Maximum quality
-      );
-    });
+    const blob = await this.encodeCanvas(finalCanvas, 'png');
     
     // Ensure the blob has the correct MIME type
     const highQualityBlob = new Blob([blob], { type: 'image/png' });
@@ -276,14 +374,16 @@ export async function copyToClipboard() {
 }
 
 /**
- * Saves the current canvas content as a PNG image file.
+ * Saves the current canvas content as an image file.
+ * @param {{format: string, quality: number, scale: string, maxBytes: number | null} | null} [options] -
+ *   Export options from the export dialog, or null for the format in the settings at full size.
  */
-export async function saveImage() {
+export async function saveImage(options = null) {
   if (!this.canvas || this.canvas.width === 0 || this.canvas.height === 0) {
     this.showToast("Cannot save empty image.", false, 'error'); 
     return; 
   }
-  if (this.state.isDrawing && this.isToolActive('crop')) {
+  if ((this.state.isDrawing && this.isToolActive('crop')) || this.getPendingCrop()) {
     this.showToast("Finalize cropping before saving.", false, 'warning'); 
     return; 
   }
@@ -295,16 +395,24 @@ export async function saveImage() {
   this.pulseAnimation('saveTool');
   
   try {
-    const finalCanvas = this.prepareFinalCanvas();
-    const dataUrl = finalCanvas.toDataURL('image/png', 1.0);
-    const { saveLocation } = await chrome.storage.sync.get({ saveLocation: 'SnipScreen_Captures' });
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').replace('Z','');
-    const sanitizedSaveLocation = saveLocation.replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9_\-\/]/g, '_');
-    const filename = `${sanitizedSaveLocation}/SnipScreen-${timestamp}.png`;
+    // Settings are read on every save, the options page may have changed them meanwhile
+    const settings = await loadSettings();
+    const exportOptions = options || await this.getDefaultExportOptions();
+    const { blob, width, height, fits } = await this.encodeExport(exportOptions);
+    const dataUrl = await this.readBlobAsDataUrl(blob);
+    const filename = await buildDownloadFilename(settings, {
+      ...this.captureInfo,
+      width,
+      height
+    }, EXPORT_FORMATS[exportOptions.format].extension);
 
     console.log(`Attempting to download to: ${filename}`);
     await this.tryDownload(dataUrl, filename, 0); // Reduced retries to 0 unless specific need
-    this.showToast('Screenshot saved successfully!', false, 'success');
+    if (fits) {
+      this.showToast(`Screenshot saved successfully! (${this.formatFileSize(blob.size)})`, false, 'success');
+    } else {
+      this.showToast(`Saved, but the file (${this.formatFileSize(blob.size)}) is larger than the size target.`, false, 'info');
+    }
   } catch (error) {
     console.error('Save image failed:', error);
     if (error.message.includes('USER_CANCELED')) { 
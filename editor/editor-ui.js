@@ -1,3 +1,5 @@
+import { STYLE_PROPERTIES } from './editor-annotations.js';
+
 /**
  * Shows or hides the loading spinner element with smooth animations.
  * @param {boolean} show - True to show the spinner, false to hide it.
@@ -157,4 +159,130 @@ export function animateCanvasFocus(focused) {
     canvas.style.transform = 'translateY(-2px) scale(1)';
     canvas.style.boxShadow = '0 8px 24px rgba(0, 0, 0, 0.12)';
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Shows or hides the keyboard shortcuts overlay.
+ */
+export function toggleShortcutsOverlay() {
+  const dialog = document.getElementById('shortcutsDialog');
+  if (!dialog) return;
+  if (dialog.open) {
+    dialog.close();
+  } else {
+    dialog.showModal();
+  }
+}
+
+/**
+ * Wires the toolbar button of the keyboard shortcuts overlay. The overlay closes
+ * with its Close button, Esc, ? or a click on the backdrop.
+ */
+export function initializeShortcutsOverlay() {
+  const dialog = document.getElementById('shortcutsDialog');
+  if (!dialog) {
+    console.warn('Shortcuts overlay not found.');
+    return;
+  }
+  document.getElementById('shortcutsTool')?.addEventListener('click', (event) => {
+    event.stopPropagation();
+    this.toggleShortcutsOverlay();
+  });
+  dialog.addEventListener('keydown', (event) => {
+    if (event.key === '?') {
+      event.preventDefault();
+      dialog.close();
+    }
+  });
+  dialog.addEventListener('click', (event) => {
+    if (event.target === dialog) dialog.close(); // The backdrop
+  });
+}
+
+/**
+ * Toolbar option inputs and the this.toolSettings key each one edits.
+ */
+const TOOL_OPTION_BINDINGS = {
+  'optionColor': { key: 'color', parse: value => value },
+  'optionLineWidth': { key: 'lineWidth', parse: value => Number(value) },
+  'optionDash': { key: 'dash', parse: value => value },
+  'optionFillOpacity': { key: 'fillOpacity', parse: value => Number(value) },
+  'optionArrowHead': { key: 'arrowHead', parse: value => value },
+  'optionFontSize': { key: 'fontSize', parse: value => Number(value) },
+  'optionBold': { key: 'bold', checkbox: true },
+  'optionTextBackground': { key: 'textBackground', checkbox: true },
+  'optionSpotlightOpacity': { key: 'spotlightOpacity', parse: value => Number(value) },
+  'optionSpotlightBlur': { key: 'spotlightBlur', parse: value => Number(value) },
+  'optionSpotlightShape': { key: 'spotlightShape', parse: value => value },
+  'optionMagnifierZoom': { key: 'magnifierZoom', parse: value => Number(value) },
+  'optionMagnifierShape': { key: 'magnifierShape', parse: value => value },
+  'optionStepSize': { key: 'stepSize', parse: value => Number(value) },
+  'optionStepLabel': { key: 'stepLabel', parse: value => value.slice(0, 40) },
+  'optionHighlighterColor': { key: 'highlighterColor', parse: value => value },
+  'optionHighlighterWidth': { key: 'highlighterWidth', parse: value => Number(value) },
+  'optionRedaction': { key: 'redaction', parse: value => value },
+  'optionRedactionColor': { key: 'redactionColor', parse: value => value },
+  'optionBlockSize': { key: 'blockSize', parse: value => Number(value) },
+  'optionBlurRadius': { key: 'blurRadius', parse: value => Number(value) }
+};
+
+/**
+ * Binds the tool option inputs in the toolbar to this.toolSettings.
+ * With the select tool, the same inputs act as the properties panel of the
+ * selected element and edit it live.
+ */
+export function initializeToolOptions() {
+  for (const [id, { key, parse, checkbox }] of Object.entries(TOOL_OPTION_BINDINGS)) {
+    const input = document.getElementById(id);
+    if (!input) {
+      console.warn(`Tool option with ID ${id} not found.`);
+      continue;
+    }
+    input.addEventListener('input', () => {
+      this.toolSettings[key] = checkbox ? input.checked : parse(input.value);
+      this.applyToolSettingToTextEditor(key);
+      this.applyToolSettingToSelection(key);
+      this.updateToolOptions();
+    });
+  }
+  this.updateToolOptions();
+}
+
+/**
+ * Shows only the tool options relevant to the active tool, or to the selected
+ * element while the select tool is active (data-tools attribute), and for
+ * blackout only those of the chosen redaction style (data-redaction attribute).
+ * Per-element options (data-selection-only) need a selected element.
+ * Input values reflect the selected element, or the tool settings otherwise.
+ */
+export function updateToolOptions() {
+  const container = document.getElementById('toolOptions');
+  if (!container) return;
+
+  const selected = this.isToolActive('select') ? this.getSelectedElement() : null;
+  const selectedTool = selected ? this.getElementTool(selected) : null;
+  const properties = selectedTool ? STYLE_PROPERTIES[selectedTool] || {} : {};
+  const valueOf = (key) => properties[key] && selected[properties[key]] !== undefined
+    ? selected[properties[key]]
+    : this.toolSettings[key];
+  const isRelevant = (tool) => selected ? tool === selectedTool : this.isToolActive(tool);
+
+  for (const [id, { key, checkbox }] of Object.entries(TOOL_OPTION_BINDINGS)) {
+    const input = document.getElementById(id);
+    if (!input) continue;
+    if (checkbox) input.checked = !!valueOf(key);
+    else if (input.value.toLowerCase() !== String(valueOf(key)).toLowerCase()) input.value = String(valueOf(key));
+  }
+
+  let anyVisible = false;
+  container.querySelectorAll('.tool-option').forEach(option => {
+    const tools = (option.dataset.tools || '').split(' ');
+    const redactionStyles = option.dataset.redaction ? option.dataset.redaction.split(' ') : null;
+    const visible = tools.some(isRelevant) &&
+      (!redactionStyles || redactionStyles.includes(valueOf('redaction'))) &&
+      (!('selectionOnly' in option.dataset) || !!selected);
+    option.hidden = !visible;
+    anyVisible = anyVisible || visible;
+  });
+  container.hidden = !anyVisible;
+}
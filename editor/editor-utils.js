@@ -37,4 +37,21 @@ export function throttle(func, limit) {
     // Return the result of the last successful execution (if any)
     return lastResult;
   };
-}
\ No newline at end of file
+}
+
+// Mixed into the editor as this.formatFileSize
+export { formatFileSize } from '../shared/format.js';
+
+/**
+ * Reads a Blob into a data URL.
+ * @param {Blob} blob - The data to read.
+ * @returns {Promise<string>}
+ */
+export function readBlobAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error('Failed to read image data.'));
+    reader.readAsDataURL(blob);
+  });
+}
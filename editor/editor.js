@@ -4,6 +4,14 @@ import * as Init from './editor-init.js';
 import * as CanvasOps from './editor-canvas.js';
 import * as Tools from './editor-tools.js';
 import * as Events from './editor-events.js';
+import * as History from './editor-history.js';
+import * as Annotations from './editor-annotations.js';
+import * as Text from './editor-text.js';
+import * as Detections from './editor-detections.js';
+import * as Export from './editor-export.js';
+import * as Project from './editor-project.js';
+import * as Gallery from './editor-gallery.js';
+import * as Documents from './editor-documents.js';
 
 class ScreenshotEditor {
   constructor() {
@@ -29,7 +37,8 @@ class ScreenshotEditor {
     this.drawingState = {
       cropStart: null,
       cropEnd: null,
-      annotateStart: null
+      annotateStart: null,
+      stroke: null // Freehand stroke being drawn
     };
 
     // Canvas state management
@@ -38,22 +47,100 @@ class ScreenshotEditor {
       lastImageData: null
     };
 
+    // Tab the screenshot was taken from: { id, title, url, date, zoom } (filename tokens),
+    // plus the unique captureId and whether the capture is in the history (inHistory)
+    this.captureInfo = null;
+
+    // Captures open in this tab (see editor-documents.js); state is null for the active one
+    this.documents = {
+      list: [], // { id, state }
+      activeId: null,
+      pendingParts: null // Snapshots of the further parts of a split capture, until registerDocument
+    };
+
+    // Storing edits in the capture history (see editor-gallery.js)
+    this.gallerySync = {
+      timeout: null,
+      pending: false,
+      running: false,
+      blobs: new WeakMap() // Image source -> Promise<Blob> of its PNG encoding
+    };
+
+    // Last choices in the export dialog (null until it is first opened)
+    this.exportOptions = null;
+
+    // Worker for PNG palette optimization, started on first use
+    this.pngOptimizer = {
+      worker: null,
+      jobs: new Map(), // Job ID -> { resolve, reject }
+      nextId: 0
+    };
+
     // UI elements
     this.elements = {
       annotationElements: []
     };
 
+    // Selected annotation and the move/resize drag in progress
+    this.selection = {
+      elementId: null,
+      drag: null
+    };
+
+    // Undo/redo stacks of applied commands
+    this.history = {
+      undoStack: [],
+      redoStack: []
+    };
+
+    // Current settings of the annotation tools
+    this.toolSettings = {
+      color: '#FF3B30',
+      lineWidth: 4,
+      arrowHead: 'end',
+      dash: 'solid',
+      fillOpacity: 0,
+      fontSize: 32,
+      bold: false,
+      textBackground: false,
+      spotlightOpacity: 0.6,
+      spotlightBlur: 0,
+      spotlightShape: 'rect',
+      magnifierZoom: 3,
+      magnifierShape: 'circle',
+      stepSize: 20,
+      stepLabel: '',
+      highlighterColor: '#FFD60A',
+      highlighterWidth: 24,
+      redaction: 'solid',
+      redactionColor: '#000000',
+      blockSize: 16,
+      blurRadius: 16
+    };
+
+    // Inline text editor state (null when not editing)
+    this.textEditor = null;
+
     // Configuration
     this.config = {
-      maxCanvasSize: { width: 1920, height: 1080 },
-      toolbarHeight: 56
+      // Largest canvas the editor creates (browsers cap a canvas around 16384px per side);
+      // larger captures are split into parts, see loadCaptureImage
+      maxCanvasSize: { width: 16384, height: 16384 },
+      toolbarHeight: 56,
+      history: {
+        maxEntries: 100,
+        maxBytes: 256 * 1024 * 1024 // Crop snapshots of large images add up quickly
+      }
     };
 
     // UI state
     this.ui = {
       canvasRect: null,
       toastElement: null,
-      toastTimeout: null
+      toastTimeout: null,
+      detectionSignature: null, // Last rendered state of the detection review panel
+      exportEstimateTimeout: null,
+      exportEstimateToken: 0 // Bumped to discard outdated file size estimates
     };
 
     // Assign Methods from Modules
@@ -63,6 +150,14 @@ class ScreenshotEditor {
     Object.assign(ScreenshotEditor.prototype, CanvasOps);
     Object.assign(ScreenshotEditor.prototype, Tools);
     Object.assign(ScreenshotEditor.prototype, Events);
+    Object.assign(ScreenshotEditor.prototype, History);
+    Object.assign(ScreenshotEditor.prototype, Annotations);
+    Object.assign(ScreenshotEditor.prototype, Text);
+    Object.assign(ScreenshotEditor.prototype, Detections);
+    Object.assign(ScreenshotEditor.prototype, Export);
+    Object.assign(ScreenshotEditor.prototype, Project);
+    Object.assign(ScreenshotEditor.prototype, Gallery);
+    Object.assign(ScreenshotEditor.prototype, Documents);
 
     // Throttled functions
     this.throttledDrawCropGuides = Events.throttledDrawCropGuides;
@@ -75,6 +170,15 @@ class ScreenshotEditor {
       this.updateCanvasRect();
       this.checkMode();
       this.initializeTools();
+      this.initializeHistoryControls();
+      this.initializeToolOptions();
+      this.applyUserSettings();
+      this.initializeDetectionPanel();
+      this.initializeExportDialog();
+      this.initializeShortcutsOverlay();
+      this.initializeProjectControls();
+      this.initializeGallerySync();
+      this.initializeDocuments();
       this.loadScreenshot();
       this.setupEventListeners();
 
@@ -109,14 +213,20 @@ class ScreenshotEditor {
     // 1. Draw base image
     ctx.drawImage(this.offscreenCanvas, 0, 0);
 
-    // 2. Draw Annotations (Blackout Rects)
+    // 2. Draw Annotations (spotlights first, then redactions, lines, arrows and text)
+    const editingId = this.textEditor ? this.textEditor.existingId : null;
+    this.drawSpotlights(ctx, this.elements.annotationElements);
     this.elements.annotationElements.forEach(element => {
-      if (!element) return;
-      if (element.type === 'rect') {
-        ctx.fillStyle = element.color;
-        ctx.fillRect(element.x, element.y, element.width, element.height);
-      }
+      if (!element || element.id === editingId) return;
+      if (element.disabled) this.drawDisabledRedaction(ctx, element);
+      else this.drawAnnotation(ctx, element);
     });
+
+    // 3. Selection outline and a crop area waiting to be applied (editor only, never exported)
+    this.drawSelectionOverlay();
+    const pendingCrop = this.getPendingCrop();
+    if (pendingCrop) this.drawCropOverlay(pendingCrop.x, pendingCrop.y, pendingCrop.width, pendingCrop.height);
+    this.updateDetectionPanel();
   }
 
   // Helper methods for state management
@@ -136,7 +246,8 @@ class ScreenshotEditor {
     this.drawingState = {
       cropStart: null,
       cropEnd: null,
-      annotateStart: null
+      annotateStart: null,
+      stroke: null // Freehand stroke being drawn
     };
     this.state.isDrawing = false;
   }
@@ -0,0 +1,228 @@
+import { loadSettings } from '../shared/settings.js';
+import { buildDownloadFilename } from '../shared/filename.js';
+import { formatFileSize } from '../shared/format.js';
+import {
+  listCaptures,
+  getCapture,
+  deleteCaptures,
+  clearCaptures,
+  enforceRetention
+} from '../shared/capture-store.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const grid = document.getElementById('captureGrid');
+const filters = document.getElementById('historyFilters');
+const template = document.getElementById('captureTemplate');
+const status = document.getElementById('historyStatus');
+let statusTimeout = null;
+
+// Metadata of all captures, newest first
+let captures = [];
+// "<id>:<updatedAt>" -> object URL of the thumbnail (edits replace the thumbnail)
+const thumbnailUrls = new Map();
+
+const thumbnailKey = (capture) => `${capture.id}:${capture.updatedAt}`;
+
+function showStatus(message, type = 'success') {
+  clearTimeout(statusTimeout);
+  status.textContent = message;
+  status.dataset.type = type;
+  if (type !== 'error') {
+    statusTimeout = setTimeout(() => { status.textContent = ''; }, 2000);
+  }
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Returns the captures matching the search and filters.
+ */
+function filterCaptures() {
+  const query = filters.elements.query.value.trim().toLowerCase();
+  const period = filters.elements.period.value;
+  const site = filters.elements.site.value;
+  const editedOnly = filters.elements.edited.checked;
+  const since = period === 'all' ? -Infinity : new Date().setHours(0, 0, 0, 0) - (Number(period) - 1) * DAY;
+
+  return captures.filter(capture =>
+    capture.createdAt >= since &&
+    (!site || getHost(capture.url) === site) &&
+    (!editedOnly || capture.edited) &&
+    (!query || `${capture.title}\n${capture.url}`.toLowerCase().includes(query))
+  );
+}
+
+/**
+ * Lists the sites captures were taken from in the site filter, keeping the selection.
+ */
+function renderSiteFilter() {
+  const select = filters.elements.site;
+  const selected = select.value;
+  const hosts = [...new Set(captures.map(capture => getHost(capture.url)).filter(Boolean))].sort();
+  select.replaceChildren(new Option('All sites', ''), ...hosts.map(host => new Option(host, host)));
+  select.value = hosts.includes(selected) ? selected : '';
+}
+
+function renderCard(capture) {
+  const card = template.content.firstElementChild.cloneNode(true);
+  card.dataset.id = capture.id;
+
+  let thumbnailUrl = thumbnailUrls.get(thumbnailKey(capture));
+  if (!thumbnailUrl && capture.thumbnail) {
+    thumbnailUrl = URL.createObjectURL(capture.thumbnail);
+    thumbnailUrls.set(thumbnailKey(capture), thumbnailUrl);
+  }
+  if (thumbnailUrl) card.querySelector('img').src = thumbnailUrl;
+
+  card.querySelector('.capture-title').textContent = capture.title || 'Untitled page';
+  const link = card.querySelector('.capture-url');
+  if (/^https?:/.test(capture.url)) {
+    link.href = capture.url;
+    link.textContent = getHost(capture.url);
+    link.title = capture.url;
+  } else {
+    link.remove();
+  }
+
+  const date = new Date(capture.createdAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  const meta = [date, `${capture.width}×${capture.height}`, formatFileSize(capture.bytes)];
+  if (capture.edited) meta.push('Edited');
+  card.querySelector('.capture-meta').textContent = meta.join(' · ');
+  return card;
+}
+
+function render() {
+  const visible = filterCaptures();
+  grid.replaceChildren(...visible.map(renderCard));
+
+  const totalBytes = captures.reduce((sum, capture) => sum + capture.bytes, 0);
+  const count = visible.length === captures.length ? `${captures.length}` : `${visible.length} of ${captures.length}`;
+  document.getElementById('historySummary').textContent =
+    `${count} capture${captures.length === 1 ? '' : 's'} · ${formatFileSize(totalBytes)}`;
+  document.getElementById('clearHistory').disabled = !captures.length;
+
+  const empty = document.getElementById('historyEmpty');
+  empty.hidden = visible.length > 0;
+  empty.textContent = captures.length ? 'No captures match the filters.' : 'Captures you take will show up here.';
+}
+
+/**
+ * Reloads the captures, releasing thumbnails of deleted or edited ones.
+ */
+async function refresh() {
+  captures = await listCaptures();
+  const current = new Set(captures.map(thumbnailKey));
+  for (const [key, url] of thumbnailUrls) {
+    if (!current.has(key)) {
+      URL.revokeObjectURL(url);
+      thumbnailUrls.delete(key);
+    }
+  }
+  renderSiteFilter();
+  render();
+}
+
+/**
+ * The image to copy or download: the edited version if there is one.
+ */
+async function loadImage(id) {
+  const capture = await getCapture(id);
+  if (!capture) throw new Error('The capture no longer exists');
+  return { capture, blob: capture.rendered || capture.image };
+}
+
+async function openCapture(id) {
+  await chrome.tabs.create({ url: chrome.runtime.getURL(`editor/editor.html?capture=${encodeURIComponent(id)}`) });
+}
+
+async function copyCapture(id) {
+  const { blob } = await loadImage(id);
+  await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+  showStatus('Copied to clipboard');
+}
+
+async function downloadCapture(id) {
+  const { capture, blob } = await loadImage(id);
+  const settings = await loadSettings();
+  const filename = await buildDownloadFilename(settings, {
+    title: capture.title,
+    url: capture.url,
+    date: capture.createdAt,
+    width: capture.width,
+    height: capture.height
+  }, 'png');
+  const url = URL.createObjectURL(blob);
+  try {
+    await chrome.downloads.download({ url, filename, saveAs: false });
+  } finally {
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000); // The download reads the URL asynchronously
+  }
+  showStatus('Download started');
+}
+
+async function deleteCapture(id) {
+  await deleteCaptures([id]);
+  await refresh();
+  showStatus('Capture deleted');
+}
+
+const ACTIONS = {
+  open: openCapture,
+  copy: copyCapture,
+  download: downloadCapture,
+  delete: deleteCapture
+};
+
+grid.addEventListener('click', async (event) => {
+  const button = event.target.closest('[data-action]');
+  const card = event.target.closest('.capture-card');
+  if (!button || !card) return;
+  const { action } = button.dataset;
+  try {
+    await ACTIONS[action](card.dataset.id);
+  } catch (error) {
+    console.error(`History action ${action} failed:`, error);
+    showStatus(`${action[0].toUpperCase()}${action.slice(1)} failed: ${error.message}`, 'error');
+  }
+});
+
+filters.addEventListener('input', render);
+filters.addEventListener('submit', (event) => event.preventDefault());
+
+document.getElementById('clearHistory').addEventListener('click', async () => {
+  if (!confirm(`Delete all ${captures.length} captures from the history?`)) return;
+  try {
+    await clearCaptures();
+    await refresh();
+    showStatus('History cleared');
+  } catch (error) {
+    console.error('Failed to clear the history:', error);
+    showStatus(`Delete failed: ${error.message}`, 'error');
+  }
+});
+
+// Pick up captures taken (or edited) while the page was in the background
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') refresh().catch(error => console.error('Failed to refresh the history:', error));
+});
+
+async function initialize() {
+  try {
+    const settings = await loadSettings();
+    document.getElementById('historyDisabled').hidden = settings.historyEnabled;
+    await enforceRetention(settings); // Limits may have been lowered, and old captures expire over time
+    await refresh();
+  } catch (error) {
+    console.error('Failed to load the capture history:', error);
+    showStatus(`Failed to load the history: ${error.message}`, 'error');
+  }
+}
+
+initialize();
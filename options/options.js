@@ -0,0 +1,259 @@
+import {
+  CAPTURE_MODES,
+  DETECTOR_KINDS,
+  loadSettings,
+  saveSettings,
+  resetSettings,
+  sanitizeFolder
+} from '../shared/settings.js';
+import { FILENAME_TOKENS, formatFilename, peekFilenameCounter } from '../shared/filename.js';
+
+const CAPTURE_MODE_LABELS = {
+  'region': 'Select a region on the page',
+  'visible': 'Capture visible area',
+  'visible-crop': 'Capture visible area and crop',
+  'full-page': 'Capture full page',
+  'element': 'Pick an element',
+  'delayed': 'Capture visible area after a delay'
+};
+
+const DETECTOR_LABELS = {
+  email: 'Email addresses',
+  creditCard: 'Card numbers',
+  iban: 'IBANs',
+  apiKey: 'API keys and tokens',
+  phone: 'Phone numbers'
+};
+
+// Example page for the filename preview
+const PREVIEW_CONTEXT = {
+  title: 'Pull request #42: Fix login redirect',
+  url: 'https://www.example.com/team/project/pull/42',
+  width: 1920,
+  height: 1080
+};
+
+// Text inputs are saved after a short pause instead of on every keystroke
+const TEXT_SAVE_DELAY = 400;
+
+const form = document.getElementById('optionsForm');
+const status = document.getElementById('saveStatus');
+let statusTimeout = null;
+let textSaveTimeout = null;
+
+/**
+ * Fills the generated parts of the form: capture mode lists and detector checkboxes.
+ */
+function buildForm() {
+  form.querySelectorAll('select[data-capture-modes]').forEach(select => {
+    select.replaceChildren(...CAPTURE_MODES.map(mode => new Option(CAPTURE_MODE_LABELS[mode] || mode, mode)));
+  });
+
+  const kinds = document.getElementById('autoRedactKinds');
+  DETECTOR_KINDS.forEach(kind => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.name = 'autoRedactKinds';
+    checkbox.value = kind;
+    label.append(checkbox, DETECTOR_LABELS[kind] || kind);
+    kinds.appendChild(label);
+  });
+
+  const tokens = document.getElementById('filenameTokens');
+  for (const [token, description] of Object.entries(FILENAME_TOKENS)) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = token;
+    button.title = description;
+    button.addEventListener('click', () => insertToken(token));
+    tokens.appendChild(button);
+  }
+}
+
+/**
+ * Inserts a token at the cursor of the filename template field and saves it.
+ */
+function insertToken(token) {
+  const input = form.elements.filenameTemplate;
+  const start = input.selectionStart ?? input.value.length;
+  const end = input.selectionEnd ?? start;
+  input.setRangeText(token, start, end, 'end');
+  input.focus();
+  updateFilenamePreview();
+  saveField('filenameTemplate');
+}
+
+/**
+ * Shows what the template in the form produces for an example page.
+ */
+async function updateFilenamePreview() {
+  const template = form.elements.filenameTemplate.value;
+  const counter = await peekFilenameCounter().catch(() => 1);
+  const name = formatFilename(template, { ...PREVIEW_CONTEXT, date: Date.now(), counter });
+  const format = form.elements.exportFormat.value;
+  document.getElementById('filenamePreview').textContent =
+    `${sanitizeFolder(form.elements.saveLocation.value) || 'SnipScreen'}/${name}.${format === 'jpeg' ? 'jpg' : format}`;
+}
+
+/**
+ * Shows the current settings in the form.
+ * @param {object} settings - Complete settings from loadSettings().
+ */
+function render(settings) {
+  for (const element of form.elements) {
+    if (!element.name || !(element.name in settings)) continue;
+    const value = settings[element.name];
+    if (element.name === 'autoRedactKinds') element.checked = value.includes(element.value);
+    else if (element.name === 'autoRedactPatterns') element.value = value.join('\n');
+    else if (element.type === 'checkbox') element.checked = !!value;
+    else element.value = String(value);
+  }
+  updateDependentFields(settings);
+}
+
+/**
+ * Hides or disables fields that don't apply to the current choices.
+ */
+function updateDependentFields(settings) {
+  form.querySelectorAll('[data-lossy-only]').forEach(row => {
+    row.hidden = settings.exportFormat === 'png';
+  });
+  form.querySelectorAll('[data-png-only]').forEach(row => {
+    row.hidden = settings.exportFormat !== 'png';
+  });
+  document.getElementById('exportQualityValue').textContent = `${Math.round(settings.exportQuality * 100)}%`;
+  document.getElementById('autoRedactKinds').disabled = !settings.autoRedact;
+  form.elements.autoRedactPatterns.disabled = !settings.autoRedact;
+  form.querySelectorAll('[data-click-capture-only]').forEach(row => {
+    row.hidden = settings.iconClick !== 'capture';
+  });
+  form.querySelectorAll('[data-history-only] input').forEach(input => {
+    input.disabled = !settings.historyEnabled;
+  });
+  updateFilenamePreview();
+}
+
+/**
+ * Reads the value of one setting from the form.
+ */
+function readField(name) {
+  if (name === 'autoRedactKinds') {
+    return Array.from(form.querySelectorAll('input[name="autoRedactKinds"]:checked'), input => input.value);
+  }
+  const element = form.elements[name];
+  if (name === 'autoRedactPatterns') {
+    return element.value.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+  if (element.type === 'checkbox') return element.checked;
+  if (element.type === 'number' || element.type === 'range') return Number(element.value);
+  return element.value;
+}
+
+/**
+ * Validates custom redaction patterns, returning the first error message if any.
+ */
+function findInvalidPattern(patterns) {
+  for (const source of patterns) {
+    try {
+      new RegExp(source, 'g');
+    } catch (error) {
+      return `Invalid pattern "${source}": ${error.message}`;
+    }
+  }
+  return null;
+}
+
+function showStatus(message, type = 'success') {
+  clearTimeout(statusTimeout);
+  status.textContent = message;
+  status.dataset.type = type;
+  if (type !== 'error') {
+    statusTimeout = setTimeout(() => { status.textContent = ''; }, 2000);
+  }
+}
+
+/**
+ * Saves one changed setting and re-renders the sanitized result.
+ */
+async function saveField(name) {
+  const value = readField(name);
+  if (name === 'autoRedactPatterns') {
+    const invalid = findInvalidPattern(value);
+    if (invalid) {
+      showStatus(invalid, 'error');
+      return;
+    }
+  }
+  try {
+    const settings = await saveSettings({ [name]: value });
+    // Don't overwrite a text field the user is still typing in
+    const active = document.activeElement;
+    if (active && active.name === name && (active.type === 'text' || active.tagName === 'TEXTAREA')) {
+      updateDependentFields(settings);
+    } else {
+      render(settings);
+    }
+    showStatus('Saved');
+  } catch (error) {
+    console.error(`Failed to save setting ${name}:`, error);
+    showStatus(`Save failed: ${error.message}`, 'error');
+  }
+}
+
+form.addEventListener('input', (event) => {
+  const { name, type, tagName } = event.target;
+  if (!name) return;
+  if (type === 'range') {
+    document.getElementById('exportQualityValue').textContent = `${Math.round(Number(event.target.value) * 100)}%`;
+    return; // Saved on 'change' once the slider is released
+  }
+  if (name === 'filenameTemplate' || name === 'saveLocation') updateFilenamePreview();
+  if (type === 'text' || tagName === 'TEXTAREA') {
+    clearTimeout(textSaveTimeout);
+    textSaveTimeout = setTimeout(() => saveField(name), TEXT_SAVE_DELAY);
+  }
+});
+
+form.addEventListener('change', (event) => {
+  const { name, type, tagName } = event.target;
+  if (!name) return;
+  // Text fields fire 'change' on blur, which also shows the sanitized value
+  if (type === 'text' || tagName === 'TEXTAREA') clearTimeout(textSaveTimeout);
+  saveField(name);
+});
+
+form.addEventListener('submit', (event) => event.preventDefault());
+
+// chrome:// pages cannot be linked to directly
+document.getElementById('shortcutSettings').addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+document.getElementById('resetSettings').addEventListener('click', async () => {
+  if (!confirm('Restore all SnipScreen settings to their defaults?')) return;
+  try {
+    render(await resetSettings());
+    showStatus('Defaults restored');
+  } catch (error) {
+    console.error('Failed to reset settings:', error);
+    showStatus(`Reset failed: ${error.message}`, 'error');
+  }
+});
+
+// Keep several open settings pages (or another synced device) in step
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'sync') return;
+  const active = document.activeElement;
+  if (active && (active.type === 'text' || active.tagName === 'TEXTAREA')) return;
+  render(await loadSettings());
+});
+
+buildForm();
+loadSettings()
+  .then(render)
+  .catch(error => {
+    console.error('Failed to load settings:', error);
+    showStatus(`Failed to load settings: ${error.message}`, 'error');
+  });
@@ -0,0 +1,122 @@
+import { loadSettings, saveSettings } from '../shared/settings.js';
+import { listCaptures } from '../shared/capture-store.js';
+
+// Recent captures shown in the menu
+const RECENT_COUNT = 4;
+
+const form = document.getElementById('quickSettings');
+const status = document.getElementById('popupStatus');
+
+function showStatus(message, type = 'success') {
+  status.textContent = message;
+  status.dataset.type = type;
+}
+
+function formatAge(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return new Date(timestamp).toLocaleDateString(undefined, { dateStyle: 'medium' });
+}
+
+/**
+ * Sends a request to the background (see the onMessage listener in background.js) and
+ * closes the menu; the background does the work, so it continues after the menu is gone.
+ */
+async function sendAndClose(message) {
+  try {
+    await chrome.runtime.sendMessage(message);
+    window.close();
+  } catch (error) {
+    console.error(`Request ${message.type} failed:`, error);
+    showStatus(`Failed: ${error.message}`, 'error');
+  }
+}
+
+async function startCapture(mode) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) {
+    showStatus('No tab to capture', 'error');
+    return;
+  }
+  await sendAndClose({ type: 'snipscreen-capture', mode, tabId: tab.id });
+}
+
+/**
+ * Shows the quick settings, adding the configured delay if it is not one of the presets.
+ */
+function renderSettings(settings) {
+  const delay = form.elements.captureDelay;
+  if (![...delay.options].some(option => Number(option.value) === settings.captureDelay)) {
+    delay.add(new Option(`${settings.captureDelay} seconds`, settings.captureDelay));
+  }
+  delay.value = String(settings.captureDelay);
+  form.elements.afterCapture.value = settings.afterCapture;
+  form.elements.autoRedact.checked = settings.autoRedact;
+  form.elements.historyEnabled.checked = settings.historyEnabled;
+  document.getElementById('delayLabel').textContent = `(${settings.captureDelay}s)`;
+}
+
+async function renderRecentCaptures(settings) {
+  const captures = (await listCaptures()).slice(0, RECENT_COUNT);
+  const template = document.getElementById('recentTemplate');
+  document.getElementById('recentCaptures').replaceChildren(...captures.map(capture => {
+    const item = template.content.firstElementChild.cloneNode(true);
+    const button = item.querySelector('button');
+    button.dataset.id = capture.id;
+    button.title = capture.url || '';
+    // The menu is short-lived, its object URLs go away when it closes
+    if (capture.thumbnail) item.querySelector('img').src = URL.createObjectURL(capture.thumbnail);
+    item.querySelector('.recent-title').textContent = capture.title || 'Untitled page';
+    item.querySelector('.recent-meta').textContent = `${formatAge(capture.createdAt)}${capture.edited ? ' · Edited' : ''}`;
+    return item;
+  }));
+
+  const empty = document.getElementById('recentEmpty');
+  empty.hidden = captures.length > 0;
+  empty.textContent = settings.historyEnabled ? 'Captures you take will show up here.' : 'The capture history is turned off.';
+}
+
+document.querySelector('.capture-modes').addEventListener('click', (event) => {
+  const button = event.target.closest('[data-mode]');
+  if (button) startCapture(button.dataset.mode);
+});
+
+document.getElementById('recentCaptures').addEventListener('click', (event) => {
+  const button = event.target.closest('.recent-capture');
+  if (button) sendAndClose({ type: 'snipscreen-show-capture', captureId: button.dataset.id });
+});
+
+form.addEventListener('change', async (event) => {
+  const { name, type, value, checked } = event.target;
+  if (!name) return;
+  try {
+    const settings = await saveSettings({ [name]: type === 'checkbox' ? checked : value });
+    renderSettings(settings);
+    if (name === 'historyEnabled') await renderRecentCaptures(settings);
+    showStatus('Saved');
+  } catch (error) {
+    console.error(`Failed to save setting ${name}:`, error);
+    showStatus(`Save failed: ${error.message}`, 'error');
+  }
+});
+
+document.getElementById('openOptions').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+  window.close();
+});
+
+async function initialize() {
+  try {
+    const settings = await loadSettings();
+    renderSettings(settings);
+    await renderRecentCaptures(settings);
+  } catch (error) {
+    console.error('Failed to load the capture menu:', error);
+    showStatus(`Failed to load: ${error.message}`, 'error');
+  }
+}
+
+initialize();
@@ -0,0 +1,263 @@
+/**
+ * Capture history kept in IndexedDB.
+ * Shared by the background service worker (records new captures), the editor
+ * (stores edits so a capture reopens with its annotations) and the history page.
+ *
+ * Two object stores keep listing cheap:
+ *  - captures:    metadata and a small thumbnail, one record per capture
+ *  - captureData: the full-size images and the editable project, loaded on demand
+ * The same database holds the handoffs of fresh captures to the editor (see handoff.js).
+ */
+
+const DB_NAME = 'snipscreen';
+const DB_VERSION = 2;
+const META_STORE = 'captures';
+const DATA_STORE = 'captureData';
+export const HANDOFF_STORE = 'handoffs';
+
+// Longest side of the thumbnails shown on the history page
+const THUMBNAIL_SIZE = 320;
+
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves once a transaction has been committed.
+ */
+export function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Opens (and on first use creates) the capture database.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openCaptureDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          const store = db.createObjectStore(META_STORE, { keyPath: 'id' });
+          store.createIndex('createdAt', 'createdAt');
+        }
+        if (!db.objectStoreNames.contains(DATA_STORE)) {
+          db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+        }
+        // Version 2
+        if (!db.objectStoreNames.contains(HANDOFF_STORE)) {
+          db.createObjectStore(HANDOFF_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Capture history is in use by an older version, close other SnipScreen pages'));
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Total size of the Blobs held by a capture.
+ */
+function measureCapture(meta, data) {
+  let bytes = (meta.thumbnail?.size || 0) + (data.image?.size || 0) + (data.rendered?.size || 0);
+  const project = data.project;
+  if (project) {
+    bytes += project.image?.size || 0;
+    bytes += JSON.stringify(project.elements || []).length;
+    for (const crop of project.cropHistory || []) {
+      bytes += crop.image?.size || 0;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Renders a JPEG thumbnail of an image Blob or image source.
+ * @param {Blob|ImageBitmap|HTMLCanvasElement} source
+ * @returns {Promise<Blob>}
+ */
+export async function createThumbnail(source) {
+  const bitmap = source instanceof Blob ? await createImageBitmap(source) : source;
+  try {
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = new OffscreenCanvas(Math.max(1, Math.round(bitmap.width * scale)), Math.max(1, Math.round(bitmap.height * scale)));
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF'; // JPEG has no transparency
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+  } finally {
+    if (bitmap !== source) bitmap.close();
+  }
+}
+
+/**
+ * Adds a new capture to the history.
+ * @param {{id: string, image: Blob, title?: string, url?: string, width: number, height: number, createdAt?: number}} capture
+ * @returns {Promise<object>} The stored metadata record.
+ */
+export async function addCapture({ id, image, title = '', url = '', width, height, createdAt = Date.now() }) {
+  const thumbnail = await createThumbnail(image);
+  const meta = { id, createdAt, updatedAt: createdAt, title, url, width, height, thumbnail, edited: false, bytes: 0 };
+  const data = { id, image, rendered: null, project: null };
+  meta.bytes = measureCapture(meta, data);
+
+  const db = await openCaptureDb();
+  const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+  transaction.objectStore(META_STORE).put(meta);
+  transaction.objectStore(DATA_STORE).put(data);
+  await transactionDone(transaction);
+  return meta;
+}
+
+/**
+ * Stores the editor state of a capture so it reopens with its annotations.
+ * Does nothing if the capture has been deleted meanwhile.
+ * @param {string} id - Capture ID.
+ * @param {{project: object, rendered?: Blob, thumbnail?: Blob, width?: number, height?: number}} edits
+ *   project is an editor project (see editor-project.js) whose images are Blobs;
+ *   rendered, thumbnail and dimensions are only replaced when given.
+ * @returns {Promise<boolean>} Whether the capture still existed.
+ */
+export async function saveCaptureEdits(id, { project, rendered, thumbnail, width, height }) {
+  const db = await openCaptureDb();
+  const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+  const metaStore = transaction.objectStore(META_STORE);
+  const dataStore = transaction.objectStore(DATA_STORE);
+  const [meta, data] = await Promise.all([promisifyRequest(metaStore.get(id)), promisifyRequest(dataStore.get(id))]);
+  if (!meta || !data) {
+    await transactionDone(transaction);
+    return false;
+  }
+
+  data.project = project;
+  if (rendered) data.rendered = rendered;
+  if (thumbnail) meta.thumbnail = thumbnail;
+  if (width && height) Object.assign(meta, { width, height });
+  meta.edited = true;
+  meta.updatedAt = Date.now();
+  meta.bytes = measureCapture(meta, data);
+  metaStore.put(meta);
+  dataStore.put(data);
+  await transactionDone(transaction);
+  return true;
+}
+
+/**
+ * Lists the metadata of all captures, newest first.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listCaptures() {
+  const db = await openCaptureDb();
+  const index = db.transaction(META_STORE).objectStore(META_STORE).index('createdAt');
+  const captures = await promisifyRequest(index.getAll());
+  return captures.reverse();
+}
+
+/**
+ * ID of the newest capture.
+ * @returns {Promise<string|null>} null if the history is empty.
+ */
+export async function getLatestCaptureId() {
+  const db = await openCaptureDb();
+  const index = db.transaction(META_STORE).objectStore(META_STORE).index('createdAt');
+  const cursor = await promisifyRequest(index.openKeyCursor(null, 'prev'));
+  return cursor ? cursor.primaryKey : null;
+}
+
+/**
+ * Loads one capture with its images and project.
+ * @param {string} id - Capture ID.
+ * @returns {Promise<object|null>} Metadata merged with { image, rendered, project }, or null.
+ */
+export async function getCapture(id) {
+  const db = await openCaptureDb();
+  const transaction = db.transaction([META_STORE, DATA_STORE]);
+  const [meta, data] = await Promise.all([
+    promisifyRequest(transaction.objectStore(META_STORE).get(id)),
+    promisifyRequest(transaction.objectStore(DATA_STORE).get(id))
+  ]);
+  return meta && data ? { ...meta, ...data } : null;
+}
+
+/**
+ * Deletes captures by ID.
+ * @param {Array<string>} ids
+ */
+export async function deleteCaptures(ids) {
+  if (!ids.length) return;
+  const db = await openCaptureDb();
+  const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+  for (const id of ids) {
+    transaction.objectStore(META_STORE).delete(id);
+    transaction.objectStore(DATA_STORE).delete(id);
+  }
+  await transactionDone(transaction);
+}
+
+/**
+ * Deletes the whole capture history.
+ */
+export async function clearCaptures() {
+  const db = await openCaptureDb();
+  const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+  transaction.objectStore(META_STORE).clear();
+  transaction.objectStore(DATA_STORE).clear();
+  await transactionDone(transaction);
+}
+
+/**
+ * Deletes the oldest captures beyond the retention limits. A limit of 0 means unlimited.
+ * @param {{historyMaxCount: number, historyMaxAgeDays: number, historyMaxMegabytes: number}} settings
+ * @param {{keep?: string}} [options] - A capture to keep regardless (e.g. the one just added).
+ * @returns {Promise<number>} Number of deleted captures.
+ */
+export async function enforceRetention({ historyMaxCount, historyMaxAgeDays, historyMaxMegabytes }, { keep = null } = {}) {
+  const captures = await listCaptures(); // Newest first
+  const oldestAllowed = historyMaxAgeDays ? Date.now() - historyMaxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+  const maxBytes = historyMaxMegabytes ? historyMaxMegabytes * 1024 * 1024 : Infinity;
+
+  const expired = [];
+  let count = 0;
+  let bytes = 0;
+  for (const capture of captures) {
+    if (capture.id !== keep) {
+      const overCount = historyMaxCount && count >= historyMaxCount;
+      if (overCount || capture.createdAt < oldestAllowed || bytes + capture.bytes > maxBytes) {
+        expired.push(capture.id);
+        continue;
+      }
+    }
+    count++;
+    bytes += capture.bytes;
+  }
+  await deleteCaptures(expired);
+  return expired.length;
+}
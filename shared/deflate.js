@@ -0,0 +1,389 @@
+/**
+ * zlib/deflate compressor (RFC 1950/1951) for the indexed PNG encoder.
+ * LZ77 with hash chains and one-step lazy matching, followed by dynamic
+ * Huffman blocks with length-limited (package-merge) codes.
+ * Only compression is implemented; browsers inflate PNGs themselves.
+ */
+
+const WINDOW_SIZE = 32768;
+const WINDOW_MASK = WINDOW_SIZE - 1;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const HASH_BITS = 15;
+const HASH_SIZE = 1 << HASH_BITS;
+// Symbols per Huffman block: large enough to amortize the block header
+const BLOCK_SYMBOLS = 1 << 16;
+
+/**
+ * Match search effort levels: how many chain links to follow, and when a match
+ * is long enough to stop searching.
+ */
+const LEVELS = {
+  fast: { maxChain: 16, niceLength: 32, lazy: false },
+  default: { maxChain: 128, niceLength: 128, lazy: true },
+  best: { maxChain: 1024, niceLength: 258, lazy: true }
+};
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073,
+  4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+// Order in which code length code lengths are stored in a dynamic block header
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Match length (3..258) -> length code index (0..28)
+const LENGTH_CODE = new Uint8Array(MAX_MATCH + 1);
+for (let code = 0; code < LENGTH_BASE.length; code++) {
+  const end = code + 1 < LENGTH_BASE.length ? LENGTH_BASE[code + 1] : MAX_MATCH + 1;
+  for (let length = LENGTH_BASE[code]; length < end; length++) LENGTH_CODE[length] = code;
+}
+
+// Distance (1..32768) -> distance code (0..29)
+const DIST_CODE = new Uint8Array(WINDOW_SIZE + 1);
+for (let code = 0; code < DIST_BASE.length; code++) {
+  const end = code + 1 < DIST_BASE.length ? DIST_BASE[code + 1] : WINDOW_SIZE + 1;
+  for (let dist = DIST_BASE[code]; dist < end; dist++) DIST_CODE[dist] = code;
+}
+
+/**
+ * Appends bits least-significant first, as deflate requires.
+ */
+class BitWriter {
+  constructor(capacity) {
+    this.buffer = new Uint8Array(Math.max(1024, capacity));
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    const grown = new Uint8Array(Math.max(this.buffer.length * 2, this.length + extra));
+    grown.set(this.buffer.subarray(0, this.length));
+    this.buffer = grown;
+  }
+
+  writeBits(value, count) {
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      this.ensure(1);
+      this.buffer[this.length++] = this.bitBuffer & 0xFF;
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  writeByte(value) {
+    this.ensure(1);
+    this.buffer[this.length++] = value;
+  }
+
+  alignToByte() {
+    if (this.bitCount > 0) this.writeBits(0, 8 - this.bitCount);
+  }
+
+  toUint8Array() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+/**
+ * Computes Huffman code lengths limited to maxBits using package-merge.
+ * @param {ArrayLike<number>} freqs - Symbol frequencies.
+ * @param {number} maxBits - Longest allowed code.
+ * @returns {Uint8Array} Code length per symbol, 0 for unused symbols.
+ */
+function buildCodeLengths(freqs, maxBits) {
+  const lengths = new Uint8Array(freqs.length);
+  const leaves = [];
+  for (let i = 0; i < freqs.length; i++) {
+    if (freqs[i] > 0) leaves.push({ weight: freqs[i], symbol: i });
+  }
+  if (leaves.length === 0) return lengths;
+  if (leaves.length === 1) {
+    // A single code would be incomplete; add a dummy so decoders accept it
+    lengths[leaves[0].symbol] = 1;
+    lengths[leaves[0].symbol === 0 ? 1 : 0] = 1;
+    return lengths;
+  }
+  leaves.sort((a, b) => a.weight - b.weight);
+
+  let list = leaves;
+  for (let level = 1; level < maxBits; level++) {
+    const packages = [];
+    for (let i = 0; i + 1 < list.length; i += 2) {
+      packages.push({ weight: list[i].weight + list[i + 1].weight, left: list[i], right: list[i + 1] });
+    }
+    // Merge the sorted leaves and packages (leaves first on ties)
+    const merged = [];
+    let a = 0;
+    let b = 0;
+    while (a < leaves.length || b < packages.length) {
+      if (b >= packages.length || (a < leaves.length && leaves[a].weight <= packages[b].weight)) merged.push(leaves[a++]);
+      else merged.push(packages[b++]);
+    }
+    list = merged;
+  }
+
+  // Each time a leaf appears in the first 2n-2 items, its code gets one bit longer
+  const stack = list.slice(0, 2 * leaves.length - 2);
+  while (stack.length) {
+    const node = stack.pop();
+    if (node.left) stack.push(node.left, node.right);
+    else lengths[node.symbol]++;
+  }
+  return lengths;
+}
+
+/**
+ * Builds canonical Huffman codes, bit-reversed for LSB-first output.
+ * @param {Uint8Array} lengths - Code length per symbol.
+ * @returns {Uint16Array} Code per symbol.
+ */
+function buildCodes(lengths) {
+  const maxBits = Math.max(0, ...lengths);
+  const counts = new Uint16Array(maxBits + 1);
+  for (const length of lengths) if (length) counts[length]++;
+
+  const nextCode = new Uint16Array(maxBits + 2);
+  let code = 0;
+  for (let bits = 1; bits <= maxBits; bits++) {
+    code = (code + counts[bits - 1]) << 1;
+    nextCode[bits] = code;
+  }
+
+  const codes = new Uint16Array(lengths.length);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    const length = lengths[symbol];
+    if (!length) continue;
+    let value = nextCode[length]++;
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | (value & 1);
+      value >>= 1;
+    }
+    codes[symbol] = reversed;
+  }
+  return codes;
+}
+
+/**
+ * Run-length encodes the literal/length and distance code lengths with the
+ * code length alphabet (16 = repeat previous, 17/18 = runs of zeros).
+ * @returns {Array<[number, number, number]>} [symbol, extra bits value, extra bit count]
+ */
+function encodeCodeLengths(lengths) {
+  const result = [];
+  let i = 0;
+  while (i < lengths.length) {
+    const value = lengths[i];
+    let run = 1;
+    while (i + run < lengths.length && lengths[i + run] === value) run++;
+
+    if (value === 0 && run >= 3) {
+      const count = Math.min(run, 138);
+      result.push(count >= 11 ? [18, count - 11, 7] : [17, count - 3, 3]);
+      i += count;
+    } else if (value !== 0 && run >= 4) {
+      result.push([value, 0, 0]);
+      const count = Math.min(run - 1, 6);
+      result.push([16, count - 3, 2]);
+      i += count + 1;
+    } else {
+      result.push([value, 0, 0]);
+      i++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Writes one dynamic Huffman block.
+ * Symbols are packed as: literal (0..255), or 256 + length with distance in dists.
+ */
+function writeBlock(writer, litLens, dists, count, isFinal) {
+  const litFreqs = new Uint32Array(286);
+  const distFreqs = new Uint32Array(30);
+  for (let i = 0; i < count; i++) {
+    const value = litLens[i];
+    if (value < 256) litFreqs[value]++;
+    else {
+      litFreqs[257 + LENGTH_CODE[value - 256]]++;
+      distFreqs[DIST_CODE[dists[i]]]++;
+    }
+  }
+  litFreqs[256] = 1; // End of block
+
+  const litLengths = buildCodeLengths(litFreqs, 15);
+  const distLengths = buildCodeLengths(distFreqs, 15);
+  if (!distLengths.some(Boolean)) {
+    distLengths[0] = 1; // Blocks without matches still need a distance code
+    distLengths[1] = 1;
+  }
+  const litCodes = buildCodes(litLengths);
+  const distCodes = buildCodes(distLengths);
+
+  let hlit = 286;
+  while (hlit > 257 && litLengths[hlit - 1] === 0) hlit--;
+  let hdist = 30;
+  while (hdist > 1 && distLengths[hdist - 1] === 0) hdist--;
+
+  const combined = new Uint8Array(hlit + hdist);
+  combined.set(litLengths.subarray(0, hlit));
+  combined.set(distLengths.subarray(0, hdist), hlit);
+  const rle = encodeCodeLengths(combined);
+
+  const clFreqs = new Uint32Array(19);
+  for (const [symbol] of rle) clFreqs[symbol]++;
+  const clLengths = buildCodeLengths(clFreqs, 7);
+  const clCodes = buildCodes(clLengths);
+  let hclen = 19;
+  while (hclen > 4 && clLengths[CODE_LENGTH_ORDER[hclen - 1]] === 0) hclen--;
+
+  writer.writeBits(isFinal ? 1 : 0, 1);
+  writer.writeBits(2, 2); // Dynamic Huffman
+  writer.writeBits(hlit - 257, 5);
+  writer.writeBits(hdist - 1, 5);
+  writer.writeBits(hclen - 4, 4);
+  for (let i = 0; i < hclen; i++) writer.writeBits(clLengths[CODE_LENGTH_ORDER[i]], 3);
+  for (const [symbol, extra, extraBits] of rle) {
+    writer.writeBits(clCodes[symbol], clLengths[symbol]);
+    if (extraBits) writer.writeBits(extra, extraBits);
+  }
+
+  for (let i = 0; i < count; i++) {
+    const value = litLens[i];
+    if (value < 256) {
+      writer.writeBits(litCodes[value], litLengths[value]);
+      continue;
+    }
+    const length = value - 256;
+    const lengthCode = LENGTH_CODE[length];
+    writer.writeBits(litCodes[257 + lengthCode], litLengths[257 + lengthCode]);
+    if (LENGTH_EXTRA[lengthCode]) writer.writeBits(length - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+
+    const dist = dists[i];
+    const distCode = DIST_CODE[dist];
+    writer.writeBits(distCodes[distCode], distLengths[distCode]);
+    if (DIST_EXTRA[distCode]) writer.writeBits(dist - DIST_BASE[distCode], DIST_EXTRA[distCode]);
+  }
+  writer.writeBits(litCodes[256], litLengths[256]);
+}
+
+/**
+ * Adler-32 checksum of the uncompressed data (zlib trailer).
+ */
+function adler32(data) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < data.length;) {
+    // 5552 is the largest run that can't overflow before the modulo
+    const end = Math.min(i + 5552, data.length);
+    for (; i < end; i++) {
+      a += data[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Compresses data into a zlib stream, as PNG IDAT chunks expect.
+ * @param {Uint8Array} data - Uncompressed bytes.
+ * @param {{level?: keyof LEVELS}} [options]
+ * @returns {Uint8Array} zlib-wrapped deflate stream.
+ */
+export function zlibCompress(data, { level = 'default' } = {}) {
+  const { maxChain, niceLength, lazy } = LEVELS[level] || LEVELS.default;
+  const writer = new BitWriter((data.length >> 1) + 1024);
+  writer.writeByte(0x78); // Deflate, 32K window
+  writer.writeByte(0xDA); // Maximum compression, FCHECK so that the header is a multiple of 31
+
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const prev = new Int32Array(WINDOW_SIZE);
+  const litLens = new Uint16Array(BLOCK_SYMBOLS);
+  const dists = new Uint16Array(BLOCK_SYMBOLS);
+  let symbolCount = 0;
+
+  const hashAt = (pos) => (((data[pos] << 10) ^ (data[pos + 1] << 5) ^ data[pos + 2]) & (HASH_SIZE - 1));
+  const insert = (pos) => {
+    if (pos + MIN_MATCH > data.length) return;
+    const hash = hashAt(pos);
+    prev[pos & WINDOW_MASK] = head[hash];
+    head[hash] = pos;
+  };
+  const findMatch = (pos) => {
+    let bestLength = 0;
+    let bestDist = 0;
+    if (pos + MIN_MATCH > data.length) return { length: 0, dist: 0 };
+    const maxLength = Math.min(MAX_MATCH, data.length - pos);
+    let candidate = head[hashAt(pos)];
+    let chain = maxChain;
+    while (candidate >= 0 && pos - candidate <= WINDOW_SIZE && chain-- > 0) {
+      if (data[candidate + bestLength] === data[pos + bestLength]) {
+        let length = 0;
+        while (length < maxLength && data[candidate + length] === data[pos + length]) length++;
+        if (length > bestLength) {
+          bestLength = length;
+          bestDist = pos - candidate;
+          if (length >= niceLength) break;
+        }
+      }
+      const next = prev[candidate & WINDOW_MASK];
+      if (next >= candidate) break; // Slot reused by a newer position
+      candidate = next;
+    }
+    return bestLength >= MIN_MATCH ? { length: bestLength, dist: bestDist } : { length: 0, dist: 0 };
+  };
+  const emit = (litLen, dist) => {
+    litLens[symbolCount] = litLen;
+    dists[symbolCount] = dist;
+    if (++symbolCount === BLOCK_SYMBOLS) {
+      writeBlock(writer, litLens, dists, symbolCount, false);
+      symbolCount = 0;
+    }
+  };
+
+  let pos = 0;
+  while (pos < data.length) {
+    let match = findMatch(pos);
+    if (lazy && match.length && match.length < niceLength && pos + 1 < data.length) {
+      insert(pos);
+      const next = findMatch(pos + 1);
+      if (next.length > match.length) {
+        // A longer match starts one byte later: emit a literal and take that one
+        emit(data[pos], 0);
+        pos++;
+        match = next;
+        insert(pos);
+      }
+      emit(256 + match.length, match.dist);
+      // The match start is already in the hash chains
+      for (let i = 1; i < match.length; i++) insert(pos + i);
+      pos += match.length;
+      continue;
+    } else if (match.length) {
+      for (let i = 0; i < match.length; i++) insert(pos + i);
+      emit(256 + match.length, match.dist);
+      pos += match.length;
+      continue;
+    } else {
+      insert(pos);
+    }
+    emit(data[pos], 0);
+    pos++;
+  }
+
+  writeBlock(writer, litLens, dists, symbolCount, true);
+  writer.alignToByte();
+  const checksum = adler32(data);
+  writer.writeByte(checksum >>> 24);
+  writer.writeByte((checksum >>> 16) & 0xFF);
+  writer.writeByte((checksum >>> 8) & 0xFF);
+  writer.writeByte(checksum & 0xFF);
+  return writer.toUint8Array();
+}
@@ -0,0 +1,158 @@
+/**
+ * Download filenames built from a user template such as
+ * "{host}/{date:YYYY-MM-DD} {title}". Tokens are filled from the captured tab
+ * and the exported image; the result is safe on Windows, macOS and Linux.
+ */
+
+export const DEFAULT_FILENAME_TEMPLATE = 'SnipScreen-{date:YYYY-MM-DD}_{time}';
+
+/**
+ * Tokens understood by formatFilename, for help texts.
+ */
+export const FILENAME_TOKENS = {
+  '{title}': 'Page title',
+  '{host}': 'Site host name',
+  '{path}': 'Page path',
+  '{date:YYYY-MM-DD}': 'Capture date (YYYY YY MM DD HH mm ss)',
+  '{time}': 'Capture time (HH-mm-ss)',
+  '{counter}': 'Running number (001, 002, ...)',
+  '{width}x{height}': 'Image size in pixels'
+};
+
+// Longest file or folder name most file systems accept is 255 bytes; leave room for the extension
+const MAX_SEGMENT_LENGTH = 120;
+const COUNTER_KEY = 'filenameCounter';
+
+// Names Windows reserves for devices, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+/**
+ * Makes a single file or folder name safe on all platforms.
+ * @param {string} name - Raw name.
+ * @returns {string} Sanitized name, possibly empty.
+ */
+export function sanitizeFilenameSegment(name) {
+  let clean = String(name)
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, '_') // Invalid on Windows, '/' and NUL everywhere
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[. ]+$/, '');                              // Windows drops trailing dots and spaces
+  clean = clean.replace(/^\.+/, '');                     // No hidden files, no '..'
+  if (RESERVED_NAMES.test(clean)) clean = `_${clean}`;
+  if (clean.length > MAX_SEGMENT_LENGTH) clean = clean.slice(0, MAX_SEGMENT_LENGTH).trim();
+  return clean;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+/**
+ * Formats a date with YYYY, YY, MM, DD, HH, mm and ss placeholders.
+ */
+function formatDate(date, format) {
+  const parts = {
+    YYYY: date.getFullYear(),
+    YY: pad(date.getFullYear() % 100),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, part => parts[part]);
+}
+
+/**
+ * Splits a page URL into host and path tokens.
+ */
+function describeUrl(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    const path = decodeURIComponent(pathname).replace(/^\/+|\/+$/g, '').replace(/\/+/g, '-');
+    return { host: hostname.replace(/^www\./, ''), path };
+  } catch {
+    return { host: '', path: '' };
+  }
+}
+
+/**
+ * Fills a filename template.
+ * A '/' in the template creates sub-folders; slashes inside token values don't.
+ * @param {string} template - Template with {tokens}.
+ * @param {object} context
+ * @param {string} [context.title] - Page title.
+ * @param {string} [context.url] - Page URL.
+ * @param {Date|number} [context.date] - Capture time.
+ * @param {number} [context.counter] - Running number.
+ * @param {number} [context.width] - Image width in pixels.
+ * @param {number} [context.height] - Image height in pixels.
+ * @returns {string} Relative path without extension.
+ */
+export function formatFilename(template, context = {}) {
+  const date = new Date(context.date ?? Date.now());
+  const { host, path } = describeUrl(context.url);
+  const values = {
+    title: context.title || '',
+    host,
+    path,
+    time: formatDate(date, 'HH-mm-ss'),
+    width: context.width ?? '',
+    height: context.height ?? ''
+  };
+
+  const filled = String(template || DEFAULT_FILENAME_TEMPLATE).replace(/\{(\w+)(?::([^}]*))?\}/g, (token, name, arg) => {
+    let value;
+    if (name === 'date') value = formatDate(date, arg || 'YYYY-MM-DD');
+    else if (name === 'counter') value = pad(context.counter ?? 1, Number(arg) || 3);
+    else if (name in values) value = values[name];
+    else return token; // Unknown tokens are kept as typed
+    return String(value).replace(/[/\\]/g, '-');
+  });
+
+  const segments = filled.split('/').map(sanitizeFilenameSegment).filter(Boolean);
+  if (!segments.length) return formatFilename(DEFAULT_FILENAME_TEMPLATE, context);
+  return segments.join('/');
+}
+
+/**
+ * Whether a template uses the {counter} token.
+ */
+function usesCounter(template) {
+  return /\{counter(?::[^}]*)?\}/.test(template || '');
+}
+
+/**
+ * Returns the next value for {counter} and persists it.
+ * @returns {Promise<number>}
+ */
+export async function nextFilenameCounter() {
+  const { [COUNTER_KEY]: last = 0 } = await chrome.storage.local.get(COUNTER_KEY);
+  const next = last + 1;
+  await chrome.storage.local.set({ [COUNTER_KEY]: next });
+  return next;
+}
+
+/**
+ * Returns the value the next {counter} will get, without using it up.
+ * @returns {Promise<number>}
+ */
+export async function peekFilenameCounter() {
+  const { [COUNTER_KEY]: last = 0 } = await chrome.storage.local.get(COUNTER_KEY);
+  return last + 1;
+}
+
+/**
+ * Builds the full download path for an export: save folder, filled template and extension.
+ * Uses up a {counter} value only when the template contains one.
+ * @param {{saveLocation: string, filenameTemplate: string}} settings - From loadSettings().
+ * @param {object} context - Token values, see formatFilename().
+ * @param {string} extension - File extension without the dot.
+ * @returns {Promise<string>} Path relative to the Downloads folder.
+ */
+export async function buildDownloadFilename(settings, context, extension) {
+  const counter = usesCounter(settings.filenameTemplate) ? await nextFilenameCounter() : undefined;
+  const name = formatFilename(settings.filenameTemplate, { ...context, counter });
+  return `${settings.saveLocation}/${name}.${extension}`;
+}
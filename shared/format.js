@@ -0,0 +1,14 @@
+/**
+ * Display formatting shared by the editor and the capture history.
+ */
+
+/**
+ * Formats a byte count for display, e.g. "1.4 MB".
+ * @param {number} bytes - Size in bytes.
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(bytes < 10 * 1024 ? 1 : 0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(bytes < 10 * 1024 * 1024 ? 2 : 1)} MB`;
+}
@@ -0,0 +1,57 @@
+/**
+ * Hands a fresh capture from the background service worker to an editor tab.
+ * Every capture has its own IndexedDB record keyed by capture ID, so rapid
+ * captures can never overwrite each other, and the image travels as a Blob
+ * instead of a data URL (no storage quota, no string serialization of large
+ * images). The editor takes (reads and deletes) its record when it opens the capture.
+ */
+
+import { openCaptureDb, promisifyRequest, transactionDone, HANDOFF_STORE } from './capture-store.js';
+
+/**
+ * Stores a capture for the editor.
+ * @param {string} captureId - Unique ID of the capture.
+ * @param {{image: Blob, originalTab: object, cropOnlyMode: boolean, detectedRedactions: object|null}} handoff
+ */
+export async function saveHandoff(captureId, handoff) {
+  const db = await openCaptureDb();
+  const transaction = db.transaction(HANDOFF_STORE, 'readwrite');
+  transaction.objectStore(HANDOFF_STORE).put({ ...handoff, id: captureId, createdAt: Date.now() });
+  await transactionDone(transaction);
+}
+
+/**
+ * Reads and removes a capture handed over to the editor.
+ * @param {string} captureId
+ * @returns {Promise<object|null>} The handoff, or null if there is none (e.g. a history entry).
+ */
+export async function takeHandoff(captureId) {
+  const db = await openCaptureDb();
+  const transaction = db.transaction(HANDOFF_STORE, 'readwrite');
+  const store = transaction.objectStore(HANDOFF_STORE);
+  const handoff = await promisifyRequest(store.get(captureId));
+  if (handoff) store.delete(captureId);
+  await transactionDone(transaction);
+  return handoff || null;
+}
+
+/**
+ * Removes a capture that could not be handed over.
+ * @param {string} captureId
+ */
+export async function removeHandoff(captureId) {
+  const db = await openCaptureDb();
+  const transaction = db.transaction(HANDOFF_STORE, 'readwrite');
+  transaction.objectStore(HANDOFF_STORE).delete(captureId);
+  await transactionDone(transaction);
+}
+
+/**
+ * Removes all captures that were never picked up by an editor.
+ */
+export async function clearHandoffs() {
+  const db = await openCaptureDb();
+  const transaction = db.transaction(HANDOFF_STORE, 'readwrite');
+  transaction.objectStore(HANDOFF_STORE).clear();
+  await transactionDone(transaction);
+}
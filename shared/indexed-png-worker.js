@@ -0,0 +1,17 @@
+/**
+ * Runs palette quantization off the main thread so the editor stays responsive
+ * while large captures are optimized.
+ * Message in: { id, width, height, pixels (RGBA Uint8ClampedArray), maxColors, dithering }
+ * Message out: { id, bytes, colors, exact } or { id, error }
+ */
+
+import { quantizeToPng } from './indexed-png.js';
+
+self.onmessage = ({ data: { id, width, height, pixels, maxColors, dithering } }) => {
+  try {
+    const result = quantizeToPng({ data: pixels, width, height }, { maxColors, dithering });
+    self.postMessage({ id, ...result }, [result.bytes.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'PNG optimization failed' });
+  }
+};
@@ -0,0 +1,304 @@
+/**
+ * Palette quantization and indexed (color type 3) PNG encoding.
+ * Screenshots of user interfaces use few distinct colors, so an 8-bit (or
+ * smaller) palette keeps them visually lossless at a fraction of the size of
+ * a truecolor PNG.
+ */
+
+import { zlibCompress } from './deflate.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+// Pixels more transparent than this become the fully transparent palette entry
+const ALPHA_THRESHOLD = 128;
+// Histogram precision for median cut (bits per channel)
+const HISTOGRAM_BITS = 5;
+// Nearest-color cache precision (bits per channel)
+const CACHE_BITS = 6;
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(bytes, crc = 0xFFFFFFFF) {
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return crc;
+}
+
+/**
+ * Collects the exact colors of an image if there are at most maxColors.
+ * @returns {Array<number> | null} Packed 0xRRGGBB colors, or null if there are more.
+ */
+function collectExactColors(data, maxColors) {
+  const colors = new Set();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < ALPHA_THRESHOLD) continue;
+    colors.add((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+    if (colors.size > maxColors) return null;
+  }
+  return Array.from(colors);
+}
+
+/**
+ * Builds a palette with median cut over a reduced-precision histogram. The box
+ * with the largest squared error is split at the weighted median of its widest
+ * channel until maxColors boxes exist; each box contributes its mean color.
+ * @returns {Array<number>} Packed 0xRRGGBB colors.
+ */
+function medianCutPalette(data, maxColors) {
+  const shift = 8 - HISTOGRAM_BITS;
+  const size = 1 << (HISTOGRAM_BITS * 3);
+  const counts = new Uint32Array(size);
+  const sums = new Float64Array(size * 3);
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < ALPHA_THRESHOLD) continue;
+    const bin = ((data[i] >> shift) << (HISTOGRAM_BITS * 2)) | ((data[i + 1] >> shift) << HISTOGRAM_BITS) | (data[i + 2] >> shift);
+    counts[bin]++;
+    sums[bin * 3] += data[i];
+    sums[bin * 3 + 1] += data[i + 1];
+    sums[bin * 3 + 2] += data[i + 2];
+  }
+
+  const bins = [];
+  for (let bin = 0; bin < size; bin++) {
+    if (!counts[bin]) continue;
+    const count = counts[bin];
+    bins.push({ count, r: sums[bin * 3] / count, g: sums[bin * 3 + 1] / count, b: sums[bin * 3 + 2] / count });
+  }
+  if (!bins.length) return [0];
+
+  const describe = (items) => {
+    let count = 0, r = 0, g = 0, b = 0;
+    for (const item of items) {
+      count += item.count;
+      r += item.r * item.count;
+      g += item.g * item.count;
+      b += item.b * item.count;
+    }
+    const mean = { r: r / count, g: g / count, b: b / count };
+    let error = 0;
+    const min = { r: 255, g: 255, b: 255 };
+    const max = { r: 0, g: 0, b: 0 };
+    for (const item of items) {
+      error += item.count * ((item.r - mean.r) ** 2 + (item.g - mean.g) ** 2 + (item.b - mean.b) ** 2);
+      for (const channel of ['r', 'g', 'b']) {
+        min[channel] = Math.min(min[channel], item[channel]);
+        max[channel] = Math.max(max[channel], item[channel]);
+      }
+    }
+    const channel = ['r', 'g', 'b'].reduce((best, c) => (max[c] - min[c] > max[best] - min[best] ? c : best), 'r');
+    return { items, count, mean, error, channel };
+  };
+
+  const boxes = [describe(bins)];
+  while (boxes.length < maxColors) {
+    let index = -1;
+    for (let i = 0; i < boxes.length; i++) {
+      if (boxes[i].items.length > 1 && (index < 0 || boxes[i].error > boxes[index].error)) index = i;
+    }
+    if (index < 0) break; // Every box holds a single color
+
+    const { items, count, channel } = boxes[index];
+    items.sort((a, b) => a[channel] - b[channel]);
+    let seen = 0;
+    let split = 1;
+    for (; split < items.length - 1; split++) {
+      seen += items[split - 1].count;
+      if (seen >= count / 2) break;
+    }
+    boxes.splice(index, 1, describe(items.slice(0, split)), describe(items.slice(split)));
+  }
+
+  return boxes.map(({ mean }) => (Math.round(mean.r) << 16) | (Math.round(mean.g) << 8) | Math.round(mean.b));
+}
+
+/**
+ * Maps every pixel to a palette index, optionally with Floyd–Steinberg dithering.
+ * @param {Uint8ClampedArray} data - RGBA pixels.
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<number>} palette - Packed 0xRRGGBB colors.
+ * @param {number} dithering - Error diffusion strength, 0 (off) to 1 (full).
+ * @param {number} transparentIndex - Index for transparent pixels, or -1.
+ * @returns {Uint8Array} One palette index per pixel.
+ */
+function mapToPalette(data, width, height, palette, dithering, transparentIndex) {
+  const paletteR = palette.map(color => (color >> 16) & 0xFF);
+  const paletteG = palette.map(color => (color >> 8) & 0xFF);
+  const paletteB = palette.map(color => color & 0xFF);
+  const exact = new Map(palette.map((color, index) => [color, index]));
+
+  const cacheShift = 8 - CACHE_BITS;
+  const cache = new Int16Array(1 << (CACHE_BITS * 3)).fill(-1);
+  const nearest = (r, g, b) => {
+    const exactIndex = exact.get((r << 16) | (g << 8) | b);
+    if (exactIndex !== undefined) return exactIndex;
+    const key = ((r >> cacheShift) << (CACHE_BITS * 2)) | ((g >> cacheShift) << CACHE_BITS) | (b >> cacheShift);
+    if (cache[key] >= 0) return cache[key];
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      if (i === transparentIndex) continue;
+      // Weighted RGB distance, roughly matching perceived brightness differences
+      const distance = 2 * (r - paletteR[i]) ** 2 + 4 * (g - paletteG[i]) ** 2 + 3 * (b - paletteB[i]) ** 2;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    cache[key] = best;
+    return best;
+  };
+
+  const indices = new Uint8Array(width * height);
+  // Error rows for the current and the next line (3 channels, one pixel of padding each side)
+  let current = dithering ? new Float32Array((width + 2) * 3) : null;
+  let next = dithering ? new Float32Array((width + 2) * 3) : null;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = y * width + x;
+      const offset = pixel * 4;
+      if (transparentIndex >= 0 && data[offset + 3] < ALPHA_THRESHOLD) {
+        indices[pixel] = transparentIndex;
+        continue;
+      }
+      if (!dithering) {
+        indices[pixel] = nearest(data[offset], data[offset + 1], data[offset + 2]);
+        continue;
+      }
+
+      const e = (x + 1) * 3;
+      const r = Math.min(255, Math.max(0, Math.round(data[offset] + current[e])));
+      const g = Math.min(255, Math.max(0, Math.round(data[offset + 1] + current[e + 1])));
+      const b = Math.min(255, Math.max(0, Math.round(data[offset + 2] + current[e + 2])));
+      const index = nearest(r, g, b);
+      indices[pixel] = index;
+
+      const errors = [(r - paletteR[index]) * dithering, (g - paletteG[index]) * dithering, (b - paletteB[index]) * dithering];
+      for (let c = 0; c < 3; c++) {
+        current[e + 3 + c] += errors[c] * 7 / 16;
+        next[e - 3 + c] += errors[c] * 3 / 16;
+        next[e + c] += errors[c] * 5 / 16;
+        next[e + 3 + c] += errors[c] / 16;
+      }
+    }
+    if (dithering) {
+      [current, next] = [next, current];
+      next.fill(0);
+    }
+  }
+  return indices;
+}
+
+/**
+ * Packs palette indices into PNG scanlines (filter type 0) at the given bit depth.
+ */
+function packScanlines(indices, width, height, bitDepth) {
+  const rowBytes = Math.ceil(width * bitDepth / 8);
+  const raw = new Uint8Array((rowBytes + 1) * height);
+  const perByte = 8 / bitDepth;
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (rowBytes + 1) + 1; // First byte of each row is the filter type (0 = None)
+    const source = y * width;
+    if (bitDepth === 8) {
+      raw.set(indices.subarray(source, source + width), rowStart);
+      continue;
+    }
+    for (let x = 0; x < width; x++) {
+      const shift = 8 - bitDepth * (x % perByte + 1);
+      raw[rowStart + Math.floor(x / perByte)] |= indices[source + x] << shift;
+    }
+  }
+  return raw;
+}
+
+/**
+ * Encodes an indexed PNG file.
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} indices - One palette index per pixel.
+ * @param {Array<number>} palette - Packed 0xRRGGBB colors.
+ * @param {number} transparentIndex - Palette entry to make transparent, or -1.
+ * @returns {Uint8Array} PNG file bytes.
+ */
+export function encodeIndexedPng(width, height, indices, palette, transparentIndex = -1) {
+  const bitDepth = palette.length <= 2 ? 1 : palette.length <= 4 ? 2 : palette.length <= 16 ? 4 : 8;
+
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = bitDepth;
+  ihdr[9] = 3; // Color type: indexed
+  ihdr[10] = 0; // Compression: deflate
+  ihdr[11] = 0; // Filter method
+  ihdr[12] = 0; // No interlacing
+
+  const plte = new Uint8Array(palette.length * 3);
+  palette.forEach((color, i) => {
+    plte[i * 3] = (color >> 16) & 0xFF;
+    plte[i * 3 + 1] = (color >> 8) & 0xFF;
+    plte[i * 3 + 2] = color & 0xFF;
+  });
+
+  const chunks = [['IHDR', ihdr], ['PLTE', plte]];
+  if (transparentIndex >= 0) {
+    // tRNS lists alpha for palette entries up to the transparent one
+    const trns = new Uint8Array(transparentIndex + 1).fill(255);
+    trns[transparentIndex] = 0;
+    chunks.push(['tRNS', trns]);
+  }
+  chunks.push(['IDAT', zlibCompress(packScanlines(indices, width, height, bitDepth))]);
+  chunks.push(['IEND', new Uint8Array(0)]);
+
+  const total = PNG_SIGNATURE.length + chunks.reduce((sum, [, data]) => sum + data.length + 12, 0);
+  const file = new Uint8Array(total);
+  const fileView = new DataView(file.buffer);
+  file.set(PNG_SIGNATURE, 0);
+  let offset = PNG_SIGNATURE.length;
+  for (const [type, data] of chunks) {
+    const typeBytes = Uint8Array.from(type, c => c.charCodeAt(0));
+    fileView.setUint32(offset, data.length);
+    file.set(typeBytes, offset + 4);
+    file.set(data, offset + 8);
+    const crc = crc32(data, crc32(typeBytes)) ^ 0xFFFFFFFF;
+    fileView.setUint32(offset + 8 + data.length, crc >>> 0);
+    offset += data.length + 12;
+  }
+  return file;
+}
+
+/**
+ * Reduces an image to at most maxColors colors and encodes it as an indexed PNG.
+ * Images that already use few enough colors keep them exactly (no dithering needed).
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels.
+ * @param {object} [options]
+ * @param {number} [options.maxColors=256] - Palette size, 2..256.
+ * @param {number} [options.dithering=0] - Error diffusion strength, 0..1.
+ * @returns {{bytes: Uint8Array, colors: number, exact: boolean}}
+ */
+export function quantizeToPng({ data, width, height }, { maxColors = 256, dithering = 0 } = {}) {
+  let hasTransparency = false;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < ALPHA_THRESHOLD) {
+      hasTransparency = true;
+      break;
+    }
+  }
+  const colorBudget = Math.max(2, Math.min(256, Math.round(maxColors))) - (hasTransparency ? 1 : 0);
+
+  const exactColors = collectExactColors(data, colorBudget);
+  const palette = exactColors || medianCutPalette(data, colorBudget);
+  const transparentIndex = hasTransparency ? palette.length : -1;
+  if (hasTransparency) palette.push(0);
+
+  const indices = mapToPalette(data, width, height, palette, exactColors ? 0 : dithering, transparentIndex);
+  return {
+    bytes: encodeIndexedPng(width, height, indices, palette, transparentIndex),
+    colors: palette.length,
+    exact: !!exactColors
+  };
+}
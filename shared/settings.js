@@ -0,0 +1,177 @@
+/**
+ * User preferences stored in chrome.storage.sync.
+ * Shared by the background service worker, the editor and the options page.
+ * The stored object carries a settingsVersion; older layouts are upgraded by
+ * MIGRATIONS the first time they are loaded.
+ */
+
+import { DEFAULT_FILENAME_TEMPLATE } from './filename.js';
+
+export const SETTINGS_VERSION = 1;
+
+/**
+ * Capture modes that can be bound to a click on the extension icon.
+ */
+export const CAPTURE_MODES = ['region', 'visible', 'visible-crop', 'full-page', 'element', 'delayed'];
+
+/**
+ * Built-in sensitive-data detectors (see content/content-sensitive.js).
+ */
+export const DETECTOR_KINDS = ['email', 'creditCard', 'iban', 'apiKey', 'phone'];
+
+export const DEFAULT_SETTINGS = {
+  saveLocation: 'SnipScreen',
+  filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+  iconClick: 'menu',              // 'menu' (popup) | 'capture' (singleClickAction/doubleClickAction)
+  singleClickAction: 'region',
+  doubleClickAction: 'visible',
+  captureDelay: 3,                // Seconds before a delayed capture
+  afterCapture: 'edit',           // 'edit' | 'copy' | 'save'
+  editorTabs: 'new',              // 'new' | 'reuse' | 'documents'
+  notifications: 'all',           // 'all' | 'errors' | 'none'
+  exportFormat: 'png',            // 'png' | 'jpeg' | 'webp'
+  exportQuality: 0.92,            // JPEG/WebP only
+  optimizePng: false,             // Palette-quantize PNGs (up to 256 colors)
+  annotationColor: '#FF3B30',
+  annotationLineWidth: 4,
+  fontSize: 32,
+  highlighterColor: '#FFD60A',
+  redactionStyle: 'solid',        // 'solid' | 'pixelate' | 'blur'
+  redactionColor: '#000000',
+  autoRedact: true,
+  autoRedactKinds: DETECTOR_KINDS,
+  autoRedactPatterns: [],
+  historyEnabled: true,           // Keep captures in the history page (IndexedDB)
+  historyMaxCount: 200,           // 0 = unlimited
+  historyMaxAgeDays: 30,          // 0 = unlimited
+  historyMaxMegabytes: 500        // 0 = unlimited
+};
+
+const ENUMS = {
+  iconClick: ['menu', 'capture'],
+  singleClickAction: CAPTURE_MODES,
+  doubleClickAction: CAPTURE_MODES,
+  afterCapture: ['edit', 'copy', 'save'],
+  editorTabs: ['new', 'reuse', 'documents'],
+  notifications: ['all', 'errors', 'none'],
+  exportFormat: ['png', 'jpeg', 'webp'],
+  redactionStyle: ['solid', 'pixelate', 'blur']
+};
+
+/**
+ * Upgrades stored settings one version at a time. MIGRATIONS[n] turns a
+ * version n-1 object into a version n object.
+ */
+const MIGRATIONS = {
+  // 0 -> 1: unversioned storage only held saveLocation (the editor fell back to
+  // 'SnipScreen_Captures') and the auto-redaction keys, where null meant "all".
+  1: (stored) => {
+    const migrated = { ...stored };
+    if (!migrated.saveLocation) migrated.saveLocation = DEFAULT_SETTINGS.saveLocation;
+    if (migrated.autoRedactKinds === null) delete migrated.autoRedactKinds;
+    return migrated;
+  }
+};
+
+/**
+ * Brings a stored settings object up to SETTINGS_VERSION.
+ * @param {object} stored - Raw contents of chrome.storage.sync.
+ * @returns {{settings: object, migrated: boolean}}
+ */
+export function migrateSettings(stored) {
+  let settings = { ...stored };
+  let version = Number(settings.settingsVersion) || 0;
+  const migrated = version < SETTINGS_VERSION;
+  while (version < SETTINGS_VERSION) {
+    version++;
+    if (MIGRATIONS[version]) settings = MIGRATIONS[version](settings);
+  }
+  settings.settingsVersion = SETTINGS_VERSION;
+  return { settings, migrated };
+}
+
+/**
+ * Replaces invalid values with their defaults and drops unknown keys.
+ * @param {object} settings - Settings to check.
+ * @returns {object} A complete, valid settings object.
+ */
+export function sanitizeSettings(settings) {
+  const clean = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    const value = settings[key];
+    if (value === undefined || value === null) continue;
+    const fallback = DEFAULT_SETTINGS[key];
+
+    if (ENUMS[key]) {
+      if (ENUMS[key].includes(value)) clean[key] = value;
+    } else if (Array.isArray(fallback)) {
+      if (Array.isArray(value)) clean[key] = value.filter(item => typeof item === 'string');
+    } else if (typeof fallback === 'number') {
+      if (Number.isFinite(Number(value))) clean[key] = Number(value);
+    } else if (typeof fallback === 'boolean') {
+      clean[key] = !!value;
+    } else if (/Color$/.test(key)) {
+      if (/^#[0-9a-f]{6}$/i.test(value)) clean[key] = value;
+    } else if (typeof value === 'string') {
+      clean[key] = value;
+    }
+  }
+  clean.saveLocation = sanitizeFolder(clean.saveLocation) || DEFAULT_SETTINGS.saveLocation;
+  clean.filenameTemplate = clean.filenameTemplate.trim().slice(0, 200) || DEFAULT_SETTINGS.filenameTemplate;
+  clean.captureDelay = Math.min(30, Math.max(1, Math.round(clean.captureDelay)));
+  clean.exportQuality = Math.min(1, Math.max(0.1, clean.exportQuality));
+  clean.annotationLineWidth = Math.min(64, Math.max(1, Math.round(clean.annotationLineWidth)));
+  clean.fontSize = Math.min(256, Math.max(8, Math.round(clean.fontSize)));
+  clean.autoRedactKinds = clean.autoRedactKinds.filter(kind => DETECTOR_KINDS.includes(kind));
+  clean.historyMaxCount = Math.min(10000, Math.max(0, Math.round(clean.historyMaxCount)));
+  clean.historyMaxAgeDays = Math.min(3650, Math.max(0, Math.round(clean.historyMaxAgeDays)));
+  clean.historyMaxMegabytes = Math.min(100000, Math.max(0, Math.round(clean.historyMaxMegabytes)));
+  return clean;
+}
+
+/**
+ * Cleans a download sub-folder: relative, no '..' segments, safe characters only.
+ */
+export function sanitizeFolder(folder) {
+  return String(folder || '')
+    .split(/[\\/]+/)
+    .map(segment => segment.trim().replace(/[^a-zA-Z0-9 _\-.]/g, '_').replace(/^\.+$/, ''))
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * Loads the settings, migrating and persisting older layouts first.
+ * @returns {Promise<object>} Complete settings (DEFAULT_SETTINGS shape).
+ */
+export async function loadSettings() {
+  const stored = await chrome.storage.sync.get(null);
+  const { settings, migrated } = migrateSettings(stored);
+  const clean = sanitizeSettings(settings);
+  if (migrated) {
+    await chrome.storage.sync.set({ ...clean, settingsVersion: SETTINGS_VERSION });
+  }
+  return clean;
+}
+
+/**
+ * Saves changed settings.
+ * @param {object} changes - Keys of DEFAULT_SETTINGS to update.
+ * @returns {Promise<object>} The complete settings after saving.
+ */
+export async function saveSettings(changes) {
+  const current = await loadSettings();
+  const clean = sanitizeSettings({ ...current, ...changes });
+  await chrome.storage.sync.set({ ...clean, settingsVersion: SETTINGS_VERSION });
+  return clean;
+}
+
+/**
+ * Restores all defaults.
+ * @returns {Promise<object>} The default settings.
+ */
+export async function resetSettings() {
+  await chrome.storage.sync.clear();
+  await chrome.storage.sync.set({ ...DEFAULT_SETTINGS, settingsVersion: SETTINGS_VERSION });
+  return { ...DEFAULT_SETTINGS };
+}